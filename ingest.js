@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+/**
+ * ingest.js
+ * ---------
+ * Builds hotel rows from screenshots of the Marriott redemption tables with
+ * local OCR (tesseract.js, no network after the first run downloads the
+ * language data into .cache/):
+ *
+ *   • every image in the folder is OCR'd and its table lines parsed into
+ *     Brand, Hotel, City, AvgPtValue, AvgPtsNight and AvgPts5Nights
+ *   • rows with an uncertain cell – low OCR confidence, an unknown brand or
+ *     city, a 5-night total that isn't 4 nights – are held back for review
+ *   • the rest are merged into data/<name>.csv (same header normalisation
+ *     as the server): known hotels (same name and city) get their points
+ *     updated, new ones are appended
+ *
+ * The result is written as a new version, data/versions/<name>-v<N>.csv,
+ * with the held-back rows in <name>-v<N>.review.csv next to it. Fix those
+ * and --accept the review file, which merges them into that version (as a
+ * newer one); then run the pipeline on the version to add states and
+ * airport distances and to publish it.
+ *
+ * Usage:
+ *   npm run ingest -- screenshots/                       # → data/versions/hotels-v<N>.csv
+ *   npm run ingest -- screenshots/ --name india-2025-06 --min-confidence 70
+ *   npm run ingest -- screenshots/ --dry-run             # print the parsed rows, write nothing
+ *   npm run ingest -- --accept data/versions/hotels-v3.review.csv
+ *
+ * Without access to the tesseract.js CDN, point --lang-path (or
+ * TESSERACT_LANG_PATH) at a directory holding eng.traineddata.gz.
+ */
+import fs from 'fs';
+import path from 'path';
+import { readCsv, toCsv, normaliseRows, writeVersion } from './lib/pipeline.js';
+import { countries } from './lib/countries.js';
+import {
+  createOcr, listImages, parseScreenshots, mergeRows,
+  KNOWN_BRANDS, DEFAULT_MIN_CONFIDENCE, REVIEW_COLUMNS
+} from './lib/ocr.js';
+
+// Tiny argv parser: positional args plus --flag / --flag value.
+const BOOLEAN_FLAGS = ['dry-run'];
+const positional = [];
+const flags = {};
+const argv = process.argv.slice(2);
+for (let i = 0; i < argv.length; i++) {
+  if (argv[i].startsWith('--')) {
+    const key = argv[i].slice(2);
+    flags[key] = !BOOLEAN_FLAGS.includes(key) && argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+  } else {
+    positional.push(argv[i]);
+  }
+}
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+const dataDir = process.env.DATA_DIR || 'data';
+const name = flags.name || (flags.accept && path.basename(String(flags.accept)).match(/^(.+)-v\d+\.review\.csv$/)?.[1]) || 'hotels';
+// Merge into the served CSV – or, for a review file, the version it came from.
+const reviewedVersion = flags.accept && String(flags.accept).replace(/\.review\.csv$/, '.csv');
+const target = reviewedVersion && reviewedVersion !== flags.accept && fs.existsSync(reviewedVersion)
+  ? reviewedVersion
+  : path.join(dataDir, `${name}.csv`);
+const versionsDir = flags.out || path.join(dataDir, 'versions');
+const minConfidence = flags['min-confidence'] ? Number(flags['min-confidence']) : DEFAULT_MIN_CONFIDENCE;
+if (!Number.isFinite(minConfidence)) fail('--min-confidence must be a number (0–100)');
+if (!positional.length && !flags.accept) fail('Usage: npm run ingest -- <screenshot folder or image> [--name hotels] [--dry-run] | --accept <review.csv>');
+
+const existing = fs.existsSync(target) ? readCsv(target) : [];
+// Brands and cities the parser recognises: the bundled ones (cities from
+// data/countries/) plus the CSV's.
+const known = normaliseRows(existing).rows;
+const brands = [...new Set([...KNOWN_BRANDS, ...known.map(r => r.Brand)])].filter(Boolean);
+const cities = [...new Set([...countries.list.flatMap(c => Object.keys(c.cities)), ...known.map(r => r.City)])].filter(Boolean);
+
+// OCR
+const images = positional.flatMap(p => {
+  if (!fs.existsSync(p)) fail(`${p} not found`);
+  return listImages(p);
+});
+if (positional.length && !images.length) fail(`No images in ${positional.join(', ')}`);
+const recognised = [];
+if (images.length) {
+  console.log(`▸ ocr        ${images.length} image(s)`);
+  const ocr = await createOcr({ lang: flags.lang || 'eng', langPath: flags['lang-path'] || process.env.TESSERACT_LANG_PATH });
+  try {
+    for (const image of images) {
+      const lines = await ocr.recognize(image);
+      recognised.push({ image, lines });
+      console.log(`  ${path.basename(image)}: ${lines.length} line(s)`);
+    }
+  } finally {
+    await ocr.terminate();
+  }
+}
+
+// parse
+const { rows, review } = parseScreenshots(recognised, { brands, cities, minConfidence });
+if (images.length) console.log(`▸ parse      ${rows.length} row(s), ${review.length} held back for review`);
+for (const r of review) console.warn(`  ⚠ ${path.basename(r.Image)} line ${r.Line}: ${r.Flags}\n      ${r.Text}`);
+
+// reviewed rows
+if (flags.accept) {
+  if (!fs.existsSync(flags.accept)) fail(`${flags.accept} not found`);
+  const accepted = readCsv(flags.accept).filter(r => r.Hotel || r['Hotel Name']);
+  rows.push(...accepted);
+  console.log(`▸ accept     ${accepted.length} reviewed row(s) from ${flags.accept}`);
+}
+
+// merge
+const result = mergeRows(existing, rows);
+console.log(`▸ merge      into ${fs.existsSync(target) ? target : 'an empty dataset'}: ${result.added} added, ${result.updated} updated`);
+
+if (flags['dry-run']) {
+  for (const r of rows) console.log(`  ${[r.Brand, r.Hotel, r.City, r.AvgPtValue, r.AvgPtsNight, r.AvgPts5Nights].join(' | ')}`);
+  console.log('\nDry run – nothing written.');
+  process.exit(0);
+}
+if (!result.added && !result.updated && !review.length) {
+  console.log('Nothing new – no version written.');
+  process.exit(0);
+}
+
+const version = writeVersion(versionsDir, name, toCsv(result.rows, result.columns), {
+  source: 'ocr',
+  images: images.map(i => path.basename(i)),
+  accepted: flags.accept || null,
+  createdAt: new Date().toISOString(),
+  rows: result.rows.length,
+  added: result.added,
+  updated: result.updated,
+  heldForReview: review.length,
+  minConfidence
+});
+console.log(`▸ write      ${version}`);
+if (review.length) {
+  const reviewFile = version.replace(/\.csv$/, '.review.csv');
+  fs.writeFileSync(reviewFile, toCsv(review, REVIEW_COLUMNS));
+  console.log(`  ${review.length} row(s) to review in ${reviewFile} – fix them, then --accept it`);
+}
+console.log(`  next: npm run pipeline -- ${version} --name ${name} --publish`);
@@ -0,0 +1,179 @@
+/*
+  lib/alerts.js
+  -------------
+  Saved searches and price alerts. A saved search keeps the filter its
+  sentence resolved to when it was saved (no LLM call on later checks) and a
+  points-per-night threshold:
+
+    { id, name, query, dataset, filter, threshold, createdAt, checkedHash,
+      matches: { <hotel Id>: <AvgPtsNight> } }
+
+  check(ds) re-runs the saved searches of that dataset; the server calls it
+  whenever a CSV is loaded or replaced. A hotel at or under the threshold
+  raises an alert when it did not match at the previous check or is cheaper
+  now. Alerts are appended to the log and, with `webhookUrl`, POSTed there as
+  { alerts: [...] }.
+
+  With `dir`, saved searches are kept in <dir>/saved.json and the log in
+  <dir>/log.jsonl; without it, in memory only.
+*/
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { applyFilter } from './filter.js';
+import { rankRecords } from './rank.js';
+
+// POST /saved-searches body: a sentence to parse or an already resolved
+// filter, and the threshold (defaulting to the filter's maxPtsNight).
+export const savedSearchSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', maxLength: 200 },
+    query: { type: 'string', maxLength: 500 },
+    filter: { type: 'object' },
+    threshold: { type: 'number', exclusiveMinimum: 0 },
+    dataset: { type: 'string' }
+  },
+  anyOf: [{ required: ['query'] }, { required: ['filter'] }],
+  additionalProperties: false
+};
+
+/** Hotels of `ds` the saved search currently matches: { Id: AvgPtsNight }. */
+export function matchSearch(search, ds) {
+  const rows = rankRecords(applyFilter(ds, search.filter), search.filter.rank);
+  return Object.fromEntries(rows
+    .filter(r => r.AvgPtsNight != null && r.AvgPtsNight <= search.threshold)
+    .map(r => [r.Id, r.AvgPtsNight]));
+}
+
+function readJsonLines(file, max) {
+  if (!file || !fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).slice(-max).map(line => JSON.parse(line));
+}
+
+export function createAlertStore({ dir = null, webhookUrl = '', webhookTimeoutMs = 5000, maxLog = 1000 } = {}) {
+  const savedFile = dir && path.join(dir, 'saved.json');
+  const logFile = dir && path.join(dir, 'log.jsonl');
+  const searches = new Map(); // id → saved search, oldest first
+  let log = [];
+
+  try {
+    if (savedFile && fs.existsSync(savedFile)) {
+      for (const s of JSON.parse(fs.readFileSync(savedFile, 'utf8'))) searches.set(s.id, s);
+    }
+    log = readJsonLines(logFile, maxLog);
+  } catch (err) {
+    console.warn(`⚠ Ignoring unreadable alerts in ${dir}: ${err.message}`);
+  }
+
+  function save() {
+    if (!savedFile) return;
+    fs.mkdirSync(dir, { recursive: true });
+    // Write-then-rename so a reader never sees half a file.
+    const tmp = `${savedFile}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify([...searches.values()], null, 2));
+    fs.renameSync(tmp, savedFile);
+  }
+
+  function append(entries) {
+    log.push(...entries);
+    if (log.length > maxLog) log = log.slice(-maxLog);
+    if (!logFile) return;
+    fs.mkdirSync(dir, { recursive: true });
+    fs.appendFileSync(logFile, entries.map(e => `${JSON.stringify(e)}\n`).join(''));
+  }
+
+  // Failures are reported, not thrown: the alerts are in the log either way.
+  async function deliver(alerts) {
+    if (!webhookUrl) return null;
+    try {
+      const res = await fetch(webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ alerts }),
+        signal: AbortSignal.timeout(webhookTimeoutMs)
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return true;
+    } catch (err) {
+      console.warn(`⚠ Alert webhook failed: ${err.message}`);
+      return false;
+    }
+  }
+
+  return {
+    list() {
+      return [...searches.values()];
+    },
+
+    /**
+     * Save a search against `ds`. Hotels matching already are its baseline –
+     * only later changes raise alerts.
+     */
+    add({ name, query = '', filter, threshold }, ds) {
+      const search = {
+        id: crypto.randomUUID(),
+        name: name || query || 'saved search',
+        query,
+        dataset: ds.name,
+        filter,
+        threshold,
+        createdAt: new Date().toISOString(),
+        checkedHash: ds.hash,
+        matches: {}
+      };
+      search.matches = matchSearch(search, ds);
+      searches.set(search.id, search);
+      save();
+      return search;
+    },
+
+    /** The removed search, or null when there is none with that id. */
+    remove(id) {
+      const search = searches.get(id);
+      if (!search) return null;
+      searches.delete(id);
+      save();
+      return search;
+    },
+
+    /** Re-run the saved searches of `ds`; resolves to the alerts raised. */
+    async check(ds) {
+      const raised = [];
+      const at = new Date().toISOString();
+      let checked = 0;
+      for (const search of searches.values()) {
+        if (search.dataset !== ds.name || search.checkedHash === ds.hash) continue;
+        checked++;
+        const matches = matchSearch(search, ds);
+        for (const [id, pts] of Object.entries(matches)) {
+          const previous = search.matches[id] ?? null;
+          if (previous !== null && pts >= previous) continue;
+          const { Hotel, City } = ds.recordsById.get(id);
+          raised.push({ at, searchId: search.id, search: search.name, dataset: ds.name, hotelId: id, Hotel, City, AvgPtsNight: pts, previous, threshold: search.threshold });
+        }
+        search.matches = matches;
+        search.checkedHash = ds.hash;
+      }
+      if (checked) save();
+      if (raised.length) {
+        const delivered = await deliver(raised);
+        append(delivered === null ? raised : raised.map(a => ({ ...a, delivered })));
+      }
+      return raised;
+    },
+
+    /** Logged alerts, newest first; `since` is an ISO time, `searchId` one search. */
+    alerts({ since, searchId, limit = 50 } = {}) {
+      return log
+        .filter(a => (!since || a.at > since) && (!searchId || a.searchId === searchId))
+        .reverse()
+        .slice(0, limit);
+    },
+
+    stats() {
+      return { savedSearches: searches.size, alerts: log.length, webhook: Boolean(webhookUrl) };
+    }
+  };
+}
@@ -0,0 +1,110 @@
+/*
+  lib/analytics.js
+  ----------------
+  What users search for. Every POST /search is recorded as one event:
+
+    { at, query, dataset, parser, filter, count, status, ms, cached,
+      session, error, details, llmError }
+
+  `count` is null when the search failed; `error` / `details` are those of the
+  error response (a 422 carries the filter the parser produced and the schema
+  errors it broke). `llmError` ({ status, message, details }) is how the LLM
+  failed when the local parser answered in its place – such a search
+  succeeded, but still counts as a failure here.
+
+  Events are kept in memory (the latest `maxEvents`) and, with `dir`,
+  appended to <dir>/searches.jsonl and re-read on start. With `log`, each
+  event is also written to it as one JSON line – the server's structured
+  request log.
+
+  report() sums them up for GET /admin/analytics and the admin page: top
+  queries, queries that found nothing, and failed searches.
+*/
+
+import fs from 'fs';
+import path from 'path';
+import { normalizeQuery } from './cache.js';
+
+function readJsonLines(file, max) {
+  if (!file || !fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).slice(-max).map(line => JSON.parse(line));
+}
+
+// A failed search: an error response, or an LLM failure the local parser
+// covered for.
+const failed = e => e.status >= 400 || Boolean(e.llmError);
+
+// The p-th percentile (0–100) of sorted numbers, or null for none.
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+export function createAnalytics({ dir = null, maxEvents = 10000, log = null } = {}) {
+  const file = dir && path.join(dir, 'searches.jsonl');
+  let events = [];
+  try {
+    events = readJsonLines(file, maxEvents);
+  } catch (err) {
+    console.warn(`⚠ Ignoring unreadable analytics in ${dir}: ${err.message}`);
+  }
+
+  return {
+    /** Record one search; `at` defaults to now. Returns the stored event. */
+    record(event) {
+      const entry = { at: new Date().toISOString(), ...event };
+      events.push(entry);
+      if (events.length > maxEvents) events = events.slice(-maxEvents);
+      if (log) log(JSON.stringify({ level: entry.status >= 500 ? 'error' : failed(entry) ? 'warn' : 'info', msg: 'search', ...entry }));
+      if (file) {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.appendFileSync(file, `${JSON.stringify(entry)}\n`);
+      }
+      return entry;
+    },
+
+    /**
+     * Summary of the searches since `since` (an ISO date, default all kept):
+     * totals, latency percentiles, searches per parser, and the top `limit`
+     * queries, zero-result queries and failures (newest first). Queries are
+     * grouped by their normalised text (lib/cache.js).
+     */
+    report({ since, limit = 20 } = {}) {
+      const selected = since ? events.filter(e => e.at >= since) : events;
+      const groups = new Map(); // normalised query → { query, searches, zeroResults, failures, lastAt, filter }
+      const byParser = {};
+      const failures = [];
+      for (const e of selected) {
+        if (e.parser) byParser[e.parser] = (byParser[e.parser] ?? 0) + 1;
+        if (failed(e)) failures.push(e);
+        if (!e.query) continue;
+        const key = normalizeQuery(e.query);
+        const group = groups.get(key) ?? { query: e.query, searches: 0, zeroResults: 0, failures: 0 };
+        group.searches++;
+        if (e.count === 0) group.zeroResults++;
+        if (failed(e)) group.failures++;
+        group.lastAt = e.at;
+        if (e.filter) group.filter = e.filter;
+        groups.set(key, group);
+      }
+
+      const ms = selected.map(e => e.ms).filter(Number.isFinite).sort((a, b) => a - b);
+      const sorted = (list, by) => [...list].sort((a, b) => b[by] - a[by] || (b.lastAt > a.lastAt ? 1 : -1)).slice(0, limit);
+      return {
+        since: since ?? selected[0]?.at ?? null,
+        searches: selected.length,
+        zeroResults: selected.filter(e => e.count === 0).length,
+        failures: failures.length,
+        latencyMs: { p50: percentile(ms, 50), p95: percentile(ms, 95) },
+        byParser,
+        topQueries: sorted([...groups.values()], 'searches'),
+        zeroResultQueries: sorted([...groups.values()].filter(g => g.zeroResults), 'zeroResults'),
+        recentFailures: failures.slice(-limit).reverse()
+      };
+    },
+
+    stats() {
+      return { events: events.length, since: events[0]?.at ?? null };
+    }
+  };
+}
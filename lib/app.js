@@ -0,0 +1,446 @@
+/*
+  lib/app.js
+  ----------
+  The Express app served by server.js (see its header for the endpoints),
+  built from parts passed in – dataset store, sentence parser, limits – so
+  tests can run it without network access or a real LLM.
+*/
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import express from 'express';
+import Ajv from 'ajv';
+import { rankRecords, sortValue } from './rank.js';
+import { validateFilter, validateQueryFilter, applyFilter, suggestFor, withStayCost } from './filter.js';
+import { historyFile, readHistory, priceChanges, previousPrices } from './history.js';
+import { planSchema, planTrip } from './planner.js';
+import { createGazetteer, resolveNear } from './places.js';
+import { correctFilter } from './corrections.js';
+import { DEFAULT_POOR_BELOW, DEFAULT_GOOD_FROM } from './value.js';
+import { savedSearchSchema, createAlertStore } from './alerts.js';
+import { createSessionStore, applyDelta, isEmptyDelta, replay, describeSession } from './session.js';
+import { createAnalytics } from './analytics.js';
+import { AIRPORTS } from './geo.js';
+import { countries } from './countries.js';
+
+// OpenStreetMap's public tiles; point MAP_TILE_URL at a local tile server to
+// run the map offline.
+export const DEFAULT_MAP = {
+  tileUrl: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+  attribution: '&copy; OpenStreetMap contributors',
+  maxZoom: 19
+};
+
+const publicDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'public');
+const validatePlan = new Ajv().compile(planSchema);
+const validateSavedSearch = new Ajv().compile(savedSearchSchema);
+
+const RECORD_FIELDS = ['Id', 'Brand', 'Hotel', 'City', 'State', 'Country', 'Currency', 'AvgPtValue', 'PointValue', 'PointValueSource', 'CashRate', 'ValueRating', 'AvgPtsNight', 'AvgPts5Nights', 'DistanceKmFromAirport', 'DriveMinutesFromAirport', 'Lat', 'Lon', 'GeoPrecision', 'AirportCode', 'DistanceKm', 'StayPts', 'StayCashValue'];
+
+// A JSON object – not an array or null.
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Parse "AvgPtsNight,-DistanceKmFromAirport" into a comparator; "-" means
+// descending. Amounts in different currencies compare in ₹.
+function parseSort(spec) {
+  const keys = spec.split(',').map(s => s.trim()).filter(Boolean).map(s => ({
+    field: s.replace(/^[-+]/, ''),
+    dir: s.startsWith('-') ? -1 : 1
+  }));
+  const unknown = keys.find(k => !RECORD_FIELDS.includes(k.field));
+  if (unknown) throw new Error(`cannot sort by "${unknown.field}"`);
+  return (a, b) => {
+    for (const { field, dir } of keys) {
+      const x = sortValue(a, field);
+      const y = sortValue(b, field);
+      // Missing values sort last in either direction.
+      if (x == null || y == null) {
+        if (x == null && y == null) continue;
+        return x == null ? 1 : -1;
+      }
+      const cmp = typeof x === 'number' ? x - y : String(x).localeCompare(String(y));
+      if (cmp) return cmp * dir;
+    }
+    return 0;
+  };
+}
+
+function parseFields(spec) {
+  const fields = spec.split(',').map(s => s.trim()).filter(Boolean);
+  const unknown = fields.find(f => !RECORD_FIELDS.includes(f));
+  if (unknown) throw new Error(`unknown field "${unknown}"`);
+  return fields;
+}
+
+function parseCount(value, name) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw new Error(`${name} must be a non-negative integer`);
+  return n;
+}
+
+const passThrough = (req, res, next) => next();
+
+/**
+ * Options:
+ *   datasets      – dataset store (lib/dataset.js createDatasetStore)
+ *   queryToFilter – sentence parser (lib/query.js createQueryParser)
+ *   followUp      – follow-up parser for sessions (lib/query.js createFollowUpParser);
+ *                   without it `session` is refused
+ *   sessions      – session store (lib/session.js createSessionStore)
+ *   historyDir    – where price history lives (lib/history.js)
+ *   adminToken    – bearer token for /admin routes; open when empty
+ *   searchLimit   – middleware in front of POST /search (lib/ratelimit.js)
+ *   usage         – () → body of GET /admin/usage
+ *   trustProxy    – take the client IP from X-Forwarded-For
+ *   places        – gazetteer for `near` filters (lib/places.js)
+ *   map           – tile layer for the UI map: { tileUrl, attribution, maxZoom }
+ *   value         – point-value thresholds for the UI: { poorBelow, goodFrom }
+ *   alerts        – saved searches and their alert log (lib/alerts.js createAlertStore)
+ *   analytics     – where every /search is recorded (lib/analytics.js createAnalytics)
+ */
+export function createApp({ datasets, queryToFilter, followUp = null, sessions = createSessionStore(), historyDir, adminToken = '', searchLimit = passThrough, usage = () => ({}), trustProxy = false, places = createGazetteer(), map = DEFAULT_MAP, value = { poorBelow: DEFAULT_POOR_BELOW, goodFrom: DEFAULT_GOOD_FROM }, alerts = createAlertStore(), analytics = createAnalytics() }) {
+  const app = express();
+  if (trustProxy) app.set('trust proxy', 1);
+  app.use(express.json());
+  app.use(express.static(publicDir));
+
+  const trendCache = new WeakMap(); // history object → { ds, trends }
+
+  // Id → { PreviousPtsNight, PriceTrend, PreviousSnapshot } for the served data.
+  function priceTrends(ds) {
+    const history = readHistory(historyFile(historyDir, ds.name));
+    const hit = trendCache.get(history);
+    if (hit && hit.ds === ds) return hit.trends;
+    const trends = previousPrices(history, ds);
+    trendCache.set(history, { ds, trends });
+    return trends;
+  }
+
+  // The dataset named by `dataset` in the body or query string (default
+  // dataset when absent). Sends a 404 and returns undefined for unknown names.
+  function datasetFor(req, res) {
+    const name = req.body?.dataset ?? req.query.dataset;
+    const ds = datasets.get(name ? String(name) : undefined);
+    if (!ds) fail(res, 404, { error: `unknown dataset "${name}"`, datasets: datasets.names() });
+    return ds;
+  }
+
+  // The filter with coordinates for its `near` place, or null after
+  // answering 422 for a place the gazetteer doesn't know.
+  function locate(filter, res) {
+    try {
+      return resolveNear(filter, places);
+    } catch (err) {
+      fail(res, err.status, { error: err.message, details: err.details });
+      return null;
+    }
+  }
+
+  // An error response, kept in res.locals for the search log.
+  function fail(res, status, body) {
+    res.locals.error = body;
+    return res.status(status).json(body);
+  }
+
+  // Optional shared secret for /admin routes, sent as a bearer token.
+  function requireAdmin(req, res, next) {
+    if (adminToken && req.get('authorization') !== `Bearer ${adminToken}`) {
+      return res.status(401).json({ error: 'admin token required' });
+    }
+    next();
+  }
+
+  // Matching records for a located filter – ranked, with stay costs and price
+  // trends – and how the filter came about. Returns the number of matches.
+  function sendResults(res, ds, { filter, parser, corrections = [], cached, notice, session }) {
+    const trends = priceTrends(ds);
+    const data = withStayCost(rankRecords(applyFilter(ds, filter), filter.rank), filter.nights)
+      .map(r => (trends.has(r.Id) ? { ...r, ...trends.get(r.Id) } : r));
+
+    const body = { count: data.length, dataset: ds.name, parser, filter, corrections, data };
+    if (cached) body.cached = true;
+    if (notice) body.notice = notice;
+    if (session) body.session = describeSession(session);
+    if (!data.length) body.suggestions = suggestFor(ds, filter);
+    res.json(body);
+    return data.length;
+  }
+
+  // Body: { query } to parse a sentence, or { query?, filter } to re-run an
+  // already interpreted (and possibly user-edited) filter without parsing.
+  // Either may name a `dataset`. `session: true` starts a conversation;
+  // `session: "<id>"` reads the query as a follow-up to that session's last
+  // filter (lib/session.js).
+  app.post('/search', searchLimit, async (req, res) => {
+    const { query = '', session: sessionId = false } = req.body;
+    // Filled in below and recorded once the response is sent, whatever it is.
+    const started = process.hrtime.bigint();
+    const event = { query, dataset: req.body.dataset ?? datasets.defaultName, parser: null, filter: null, count: null, session: sessionId !== false };
+    res.on('finish', () => {
+      const { error } = res.locals;
+      analytics.record({
+        ...event,
+        status: res.statusCode,
+        ms: Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+        ...(error && { error: error.error, ...(error.details && { details: error.details }) })
+      });
+    });
+
+    if (!isObject(req.body)) return fail(res, 400, { error: 'request body must be a JSON object' });
+    if (typeof query !== 'string') return fail(res, 400, { error: 'query must be a string' });
+    if (req.body.filter !== undefined && !isObject(req.body.filter)) return fail(res, 400, { error: 'filter must be an object' });
+    if (!query && !req.body.filter) return fail(res, 400, { error: 'query field required' });
+    // Hold on to this snapshot for the whole request, even if a reload lands.
+    const ds = datasetFor(req, res);
+    if (!ds) return;
+
+    let session = null;
+    if (sessionId !== false) {
+      if (!followUp) return fail(res, 400, { error: 'sessions are not enabled' });
+      session = typeof sessionId === 'string' ? sessions.get(sessionId) : sessions.create();
+      if (!session) return fail(res, 404, { error: 'unknown or expired session' });
+    }
+
+    try {
+      let filter, parser, cached, notice, delta, llmError;
+      let corrections = [];
+      const previous = session?.steps.at(-1)?.filter;
+      if (req.body.filter) {
+        filter = { ...req.body.filter };
+        parser = 'client';
+      } else if (previous) {
+        ({ delta, parser, notice, llmError } = await followUp(query, previous, ds));
+        Object.assign(event, { parser, ...(llmError && { llmError }) });
+        if (isEmptyDelta(delta)) return fail(res, 422, { error: `nothing to change in "${query}"` });
+        filter = applyDelta(previous, delta);
+        corrections = correctFilter(filter, query, ds);
+      } else {
+        ({ filter, parser, corrections, cached, notice, llmError } = await queryToFilter(query, ds));
+      }
+      Object.assign(event, { parser, filter, ...(cached && { cached: true }), ...(llmError && { llmError }) });
+
+      if (!validateFilter(filter)) {
+        return fail(res, 422, { error: 'invalid filter generated', details: validateFilter.errors });
+      }
+      const located = locate(filter, res);
+      if (!located) return;
+      if (session) {
+        session.steps.push({ query: query || 'edited filter', parser, delta: delta ?? { reset: true, set: filter }, filter, corrections });
+      }
+      event.count = sendResults(res, ds, { filter: located, parser, corrections, cached, notice, session });
+    } catch (err) {
+      console.error(err);
+      // 422: the model kept answering with an invalid filter; 503: no answer
+      fail(res, err.status || 503, { error: err.message, ...(err.details && { details: err.details }) });
+    }
+  });
+
+  app.get('/sessions/:id', (req, res) => {
+    const session = sessions.get(req.params.id);
+    if (!session) return res.status(404).json({ error: 'unknown or expired session' });
+    res.json(describeSession(session));
+  });
+
+  // Undo one step of a conversation: the other steps' deltas are replayed (no
+  // LLM involved) and the resulting filter is searched again.
+  app.delete('/sessions/:id/steps/:index', (req, res) => {
+    const session = sessions.get(req.params.id);
+    if (!session) return res.status(404).json({ error: 'unknown or expired session' });
+    const index = Number(req.params.index);
+    if (!Number.isInteger(index) || index < 0 || index >= session.steps.length) {
+      return res.status(404).json({ error: `no step ${req.params.index}` });
+    }
+    const ds = datasetFor(req, res);
+    if (!ds) return;
+
+    session.steps.splice(index, 1);
+    const filter = locate(replay(session.steps, ds), res);
+    if (!filter) return;
+    const last = session.steps.at(-1);
+    sendResults(res, ds, { filter, parser: last?.parser ?? 'client', corrections: last?.corrections, session });
+  });
+
+  // Structured access to the same data, no LLM involved. Every filterSchema key
+  // is accepted as a query parameter.
+  app.get('/hotels', (req, res) => {
+    const { sort, limit, offset, fields, dataset, ...filter } = req.query;
+    const ds = datasetFor(req, res);
+    if (!ds) return;
+    if (!validateQueryFilter(filter)) {
+      return res.status(400).json({ error: 'invalid filter', details: validateQueryFilter.errors });
+    }
+    const located = locate(filter, res);
+    if (!located) return;
+
+    let compare, selected, lim, off;
+    try {
+      if (sort) compare = parseSort(String(sort));
+      if (fields) selected = parseFields(String(fields));
+      lim = limit === undefined ? undefined : parseCount(limit, 'limit');
+      off = offset === undefined ? 0 : parseCount(offset, 'offset');
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    let data = withStayCost(rankRecords(applyFilter(ds, located), filter.rank), filter.nights);
+    if (compare) data = [...data].sort(compare);
+    const total = data.length;
+    data = data.slice(off, lim === undefined ? undefined : off + lim);
+    if (selected) data = data.map(r => Object.fromEntries(selected.map(f => [f, r[f]])));
+
+    const body = { total, count: data.length, dataset: ds.name, offset: off, limit: lim ?? null, data };
+    if (!total) body.suggestions = suggestFor(ds, filter);
+    res.json(body);
+  });
+
+  // Points for an itinerary: { stops: [{ hotel | city, nights }], alternatives?, dataset? }.
+  // `hotel` is an Id or a (fuzzy) name; a city-only stop takes the cheapest
+  // hotel there. Each stop lists cheaper hotels in the same city.
+  app.post('/plan', (req, res) => {
+    if (!validatePlan(req.body)) {
+      return res.status(400).json({ error: 'invalid plan', details: validatePlan.errors });
+    }
+    const ds = datasetFor(req, res);
+    if (!ds) return;
+
+    const resolve = ({ hotel, city }) => {
+      if (hotel && ds.recordsById.has(hotel)) return ds.recordsById.get(hotel);
+      const filter = hotel ? { hotel, ...(city && { city }) } : { city };
+      const matches = hotel
+        ? applyFilter(ds, filter)
+        : rankRecords(applyFilter(ds, filter), { by: 'AvgPtsNight', order: 'asc', limit: 1 });
+      return matches[0] || { error: `no hotel matches ${JSON.stringify(filter)}`, suggestions: suggestFor(ds, filter) };
+    };
+    const sameCity = record => ds.records.filter(r => r.City === record.City);
+
+    try {
+      const plan = planTrip(req.body.stops, { resolve, sameCity, alternatives: req.body.alternatives });
+      res.json({ dataset: ds.name, ...plan });
+    } catch (err) {
+      if (!err.stops) throw err;
+      res.status(422).json({ error: err.message, stops: err.stops });
+    }
+  });
+
+  app.get('/hotels/:id', (req, res) => {
+    const ds = datasetFor(req, res);
+    if (!ds) return;
+    const hotel = ds.recordsById.get(req.params.id);
+    if (!hotel) return res.status(404).json({ error: 'hotel not found' });
+    res.json(hotel);
+  });
+
+  // Point prices of one hotel across imported snapshots.
+  app.get('/hotels/:id/history', (req, res) => {
+    const ds = datasetFor(req, res);
+    if (!ds) return;
+    const history = readHistory(historyFile(historyDir, ds.name));
+    // Own keys only: "constructor" is not a hotel.
+    if (!Object.hasOwn(history.hotels, req.params.id)) return res.status(404).json({ error: 'no price history for this hotel' });
+    res.json({ Id: req.params.id, ...history.hotels[req.params.id] });
+  });
+
+  // Hotels whose AvgPtsNight changed between two snapshots:
+  // ?from=&to= (default: the last two), ?direction=up|down
+  app.get('/price-changes', (req, res) => {
+    const ds = datasetFor(req, res);
+    if (!ds) return;
+    const { from, to, direction } = req.query;
+    if (direction && !['up', 'down'].includes(direction)) {
+      return res.status(400).json({ error: 'direction must be "up" or "down"' });
+    }
+    let history;
+    try {
+      history = readHistory(historyFile(historyDir, ds.name));
+    } catch (err) {
+      return res.status(500).json({ error: `unreadable price history: ${err.message}` });
+    }
+    try {
+      res.json(priceChanges(history, { from, to, only: direction }));
+    } catch (err) {
+      // an unknown snapshot Id
+      res.status(400).json({ error: err.message, snapshots: history.snapshots.map(s => s.id) });
+    }
+  });
+
+  // Save a search for price alerts. The sentence is parsed now; later checks
+  // (on every dataset reload) re-use the resolved filter.
+  app.post('/saved-searches', searchLimit, async (req, res) => {
+    if (!validateSavedSearch(req.body)) {
+      return res.status(400).json({ error: 'invalid saved search', details: validateSavedSearch.errors });
+    }
+    const ds = datasetFor(req, res);
+    if (!ds) return;
+    const { name, query = '' } = req.body;
+    try {
+      const filter = req.body.filter ? { ...req.body.filter } : (await queryToFilter(query, ds)).filter;
+      if (!validateFilter(filter)) {
+        return res.status(422).json({ error: 'invalid filter', details: validateFilter.errors });
+      }
+      const threshold = req.body.threshold ?? filter.maxPtsNight;
+      if (!threshold) return res.status(400).json({ error: 'threshold (points per night) required' });
+      const located = locate(filter, res);
+      if (!located) return;
+      res.status(201).json(alerts.add({ name, query, filter: located, threshold }, ds));
+    } catch (err) {
+      console.error(err);
+      res.status(err.status || 503).json({ error: err.message, ...(err.details && { details: err.details }) });
+    }
+  });
+
+  app.get('/saved-searches', (req, res) => {
+    res.json(alerts.list());
+  });
+
+  app.delete('/saved-searches/:id', (req, res) => {
+    const search = alerts.remove(req.params.id);
+    if (!search) return res.status(404).json({ error: `no saved search ${req.params.id}` });
+    res.json(search);
+  });
+
+  // Alerts raised by saved searches, newest first.
+  app.get('/alerts', (req, res) => {
+    const limit = Number(req.query.limit ?? 50);
+    if (!Number.isInteger(limit) || limit < 1) return res.status(400).json({ error: 'limit must be a positive integer' });
+    res.json(alerts.alerts({ since: req.query.since, searchId: req.query.search, limit }));
+  });
+
+  // Settings the UI needs before its first search.
+  app.get('/config', (req, res) => {
+    res.json({ map: { ...DEFAULT_MAP, ...map }, value, currencies: countries.currencyTable() });
+  });
+
+  // The bundled airport table, for plotting a hotel's AirportCode.
+  app.get('/airports', (req, res) => {
+    res.json(AIRPORTS);
+  });
+
+  // Loaded datasets, row counts and the last load error of each.
+  app.get('/admin/datasets', requireAdmin, (req, res) => {
+    res.json({ default: datasets.defaultName, datasets: datasets.status() });
+  });
+
+  // LLM calls against the daily budget and query cache hit rate.
+  app.get('/admin/usage', requireAdmin, (req, res) => {
+    res.json(usage());
+  });
+
+  // Searches since ?since= (ISO date): top and zero-result queries and recent
+  // failures, ?limit= of each (lib/analytics.js). The UI is /admin.html.
+  app.get('/admin/analytics', requireAdmin, (req, res) => {
+    const limit = Number(req.query.limit ?? 20);
+    if (!Number.isInteger(limit) || limit < 1) return res.status(400).json({ error: 'limit must be a positive integer' });
+    const since = req.query.since && String(req.query.since);
+    if (since && Number.isNaN(Date.parse(since))) return res.status(400).json({ error: 'since must be a date' });
+    res.json(analytics.report({ since: since && new Date(since).toISOString(), limit }));
+  });
+
+  // Full data-quality report (lib/validate.js) of one dataset.
+  app.get('/admin/datasets/:name/report', requireAdmin, (req, res) => {
+    const report = datasets.report(req.params.name);
+    if (!report) return res.status(404).json({ error: `no report for dataset "${req.params.name}"` });
+    res.json(report);
+  });
+
+  return app;
+}
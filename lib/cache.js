@@ -0,0 +1,101 @@
+/*
+  lib/cache.js
+  ------------
+  Normalised query → parsed filter cache for POST /search, so repeated
+  sentences (the UI's suggestion chips, a user re-submitting) don't cost an
+  LLM call each time.
+
+  Entries are keyed by dataset name + normalised sentence and remember the
+  hash of the dataset they were parsed against: corrections depend on the
+  data (e.g. which names are states), so once a dataset is reloaded with
+  different content its entries stop matching. Entries also expire after
+  `ttlMs`, and the oldest are evicted beyond `maxEntries`.
+
+  With `file` set the cache is persisted as JSON (like the geocoding caches in
+  .cache/) and re-read on start.
+*/
+
+import fs from 'fs';
+import path from 'path';
+
+/** Case, spacing and trailing punctuation don't change what a query means. */
+export function normalizeQuery(query) {
+  return String(query).toLowerCase().replace(/\s+/g, ' ').replace(/[\s.!?]+$/, '').trim();
+}
+
+export function createQueryCache({ ttlMs = 24 * 60 * 60 * 1000, maxEntries = 1000, file = null } = {}) {
+  // key → { hash, at, value }; Map order doubles as LRU order.
+  const entries = new Map();
+  const stats = { hits: 0, misses: 0 };
+  let saveTimer = null;
+
+  if (file && fs.existsSync(file)) {
+    try {
+      for (const [key, entry] of Object.entries(JSON.parse(fs.readFileSync(file, 'utf8')))) entries.set(key, entry);
+    } catch (err) {
+      console.warn(`⚠ Ignoring unreadable query cache ${file}: ${err.message}`);
+    }
+  }
+
+  const keyFor = (ds, query) => `${ds.name}|${normalizeQuery(query)}`;
+  const expired = entry => Date.now() - entry.at > ttlMs;
+
+  // Writes are batched: many searches in a burst cause one write.
+  function scheduleSave() {
+    if (!file || saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      save();
+    }, 1000);
+    saveTimer.unref();
+  }
+
+  function save() {
+    if (!file) return;
+    const live = Object.fromEntries([...entries].filter(([, e]) => !expired(e)));
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(live));
+    fs.renameSync(tmp, file);
+  }
+
+  return {
+    /** Cached value for `query` against dataset `ds`, or undefined. */
+    get(ds, query) {
+      const key = keyFor(ds, query);
+      const entry = entries.get(key);
+      if (!entry || entry.hash !== ds.hash || expired(entry)) {
+        if (entry) entries.delete(key);
+        stats.misses++;
+        return undefined;
+      }
+      // Refresh LRU position
+      entries.delete(key);
+      entries.set(key, entry);
+      stats.hits++;
+      return entry.value;
+    },
+
+    set(ds, query, value) {
+      const key = keyFor(ds, query);
+      entries.delete(key);
+      entries.set(key, { hash: ds.hash, at: Date.now(), value });
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+      scheduleSave();
+    },
+
+    /** Drop every entry, or those of one dataset. */
+    clear(datasetName) {
+      for (const key of [...entries.keys()]) {
+        if (!datasetName || key.startsWith(`${datasetName}|`)) entries.delete(key);
+      }
+      scheduleSave();
+    },
+
+    stats() {
+      return { entries: entries.size, ...stats, ttlMs, maxEntries, file };
+    },
+
+    save
+  };
+}
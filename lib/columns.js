@@ -0,0 +1,54 @@
+/*
+  lib/columns.js
+  --------------
+  CSV column handling shared by the loader, the validator and the scripts:
+  which header spellings map to which field, and how cell values are parsed.
+*/
+
+import { countries } from './countries.js';
+
+// Header variants coming from manual CSVs. The uploaded CSV uses: Hotel Name,
+// Ave Pt Value, Ave Pts / night, Ave Pts / 5 Nights; map them to the concise
+// camel-case keys our code expects.
+export const HEADER_ALIASES = {
+  Brand: ['Brand'],
+  Hotel: ['Hotel', 'Hotel Name'],
+  City: ['City'],
+  AvgPtValue: ['AvgPtValue', 'Ave Pt Value'],
+  AvgPtsNight: ['AvgPtsNight', 'Ave Pts / night', 'Ave Pts / Night'],
+  AvgPts5Nights: ['AvgPts5Nights', 'Ave Pts / 5 Nights', 'Ave Pts / 5 nights'],
+  State: ['State', 'state', 'Region', 'Province', 'Emirate'],
+  Country: ['Country', 'country'],
+  Currency: ['Currency', 'currency'],
+  DistanceKmFromAirport: ['DistanceKmFromAirport'],
+  DriveMinutesFromAirport: ['DriveMinutesFromAirport'],
+  Lat: ['Lat', 'Latitude'],
+  Lon: ['Lon', 'Lng', 'Longitude'],
+  GeoPrecision: ['GeoPrecision'],
+  AirportCode: ['AirportCode', 'Airport']
+};
+
+/** Value of `field` in a raw CSV row, whichever header spelling it uses. */
+export function rawField(row, field) {
+  for (const header of HEADER_ALIASES[field] || [field]) {
+    if (row[header] !== undefined && row[header] !== '') return row[header];
+  }
+  return undefined;
+}
+
+// "₹1,234.5" → 1234.5, "฿0.35" / "AED 0.08" → the number (any currency of
+// lib/countries.js, before or after it), "-0.5" → -0.5 (longitudes);
+// anything else non-numeric → NaN; blank → null.
+export function parseNumber(raw) {
+  let s = String(raw ?? '').replace(/[,\s]/g, '');
+  const currency = countries.currencyIn(s);
+  if (currency) {
+    s = s.toLowerCase().startsWith(currency.token) ? s.slice(currency.token.length) : s.slice(0, -currency.token.length);
+  }
+  if (!s) return null;
+  return /^-?\d+(\.\d+)?$/.test(s) ? Number(s) : NaN;
+}
+
+// URL-safe slug of a name; record Ids are built from it (lib/dataset.js).
+export const slugify = s => String(s).normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
@@ -0,0 +1,119 @@
+/*
+  lib/corrections.js
+  ------------------
+  Fix-ups applied to a parsed filter before it is run: city aliases, state
+  and country names given as cities, numbers too small to be points, and a
+  distance cap that would hide the "nearest" hotels. Each change is reported
+  so the UI can show it and the user can undo it.
+*/
+
+import { asList, fromList } from './filter.js';
+import { countries } from './countries.js';
+
+// Common city aliases → canonical names used in the CSVs, from every country
+// file (data/countries/).
+export const cityAliases = countries.cityAliases;
+
+export function canonicalCity(name) {
+  const key = name.toLowerCase();
+  // "Bengaluru" is already canonical – only a different name is an alias.
+  return cityAliases[key] && cityAliases[key] !== key ? cityAliases[key] : name;
+}
+
+// Post-process a parsed filter in place, returning what was changed and why so
+// the client can show (and undo) it.
+export function correctFilter(filter, query, ds) {
+  const corrections = [];
+
+  // Canonicalise city names if present
+  for (const key of ['city', 'excludeCity']) {
+    if (!filter[key]) continue;
+    const cities = asList(filter[key]).map(c => {
+      const city = canonicalCity(c);
+      if (city !== c) corrections.push({ field: key, from: c, to: city, reason: 'city alias' });
+      return city;
+    });
+    filter[key] = fromList(cities);
+  }
+
+  // If the LLM put a state name into `city`, correct it. With a list such as
+  // "Goa or Kerala" the state names join any states already given.
+  for (const [cityKey, stateKey] of [['city', 'state'], ['excludeCity', 'excludeState']]) {
+    if (!filter[cityKey]) continue;
+    const cities = asList(filter[cityKey]);
+    const states = cities.filter(c => ds.knownStates.has(c.toLowerCase()));
+    if (!states.length) continue;
+    const existing = asList(filter[stateKey]);
+    for (const st of states) {
+      corrections.push({ field: stateKey, from: null, to: st, reason: `city "${st}" is a state name` });
+    }
+    filter[stateKey] = fromList([...existing, ...states.filter(st => !existing.some(e => e.toLowerCase() === st.toLowerCase()))]);
+    const rest = cities.filter(c => !states.includes(c));
+    if (rest.length) filter[cityKey] = fromList(rest);
+    else delete filter[cityKey];
+  }
+
+  // A country named as a city or state ("hotels in Thailand") is a country
+  // filter – unless the dataset has a city of that name.
+  for (const [keys, countryKey] of [[['city', 'state'], 'country'], [['excludeCity', 'excludeState'], 'excludeCountry']]) {
+    for (const key of keys) {
+      if (!filter[key]) continue;
+      const values = asList(filter[key]);
+      const named = values.filter(v => countries.get(v) && !ds.vocabulary.cities.has(v.toLowerCase()));
+      if (!named.length) continue;
+      const existing = asList(filter[countryKey]);
+      for (const v of named) {
+        const country = countries.get(v).name;
+        corrections.push({ field: countryKey, from: null, to: country, reason: `${key} "${v}" is a country` });
+        if (!existing.includes(country)) existing.push(country);
+      }
+      filter[countryKey] = fromList(existing);
+      const rest = values.filter(v => !named.includes(v));
+      if (rest.length) filter[key] = fromList(rest);
+      else delete filter[key];
+    }
+  }
+
+  // If city is still missing but query mentions an alias, infer it
+  if (!filter.city) {
+    const excluded = asList(filter.excludeCity).map(c => c.toLowerCase());
+    for (const alias in cityAliases) {
+      if (query.toLowerCase().includes(alias) && !excluded.includes(cityAliases[alias])) {
+        filter.city = cityAliases[alias];
+        corrections.push({ field: 'city', from: null, to: filter.city, reason: `inferred from "${alias}" in query` });
+        break;
+      }
+    }
+  }
+
+  // If the LLM produced unrealistically small point values (likely mis-parsing
+  // a phrase such as "for 5 nights") drop those numeric filters.
+  for (const key of ['maxPtsNight', 'minPtsNight', 'maxPts5Nights']) {
+    if (filter[key] !== undefined && filter[key] < 1000) {
+      corrections.push({ field: key, from: filter[key], to: null, reason: 'too small to be a points value' });
+      delete filter[key];
+    }
+  }
+  // "nearest" is a distance sort; the LLM tends to add an arbitrary
+  // maxDistanceKm as well, which would hide the nearest hotels.
+  if (filter.rank?.by === 'DistanceKmFromAirport' && filter.rank.order !== 'desc' && filter.maxDistanceKm !== undefined
+      && !/\d\s*(?:km|kilomet)/i.test(query)) {
+    corrections.push({ field: 'maxDistanceKm', from: filter.maxDistanceKm, to: null, reason: 'replaced by nearest-first sort' });
+    delete filter.maxDistanceKm;
+  }
+
+  // With a `near` place, "within 20 km" and "closest" are about that place
+  // unless the sentence talks about the airport.
+  if (filter.near && !/\bairport\b/i.test(query)) {
+    if (filter.maxDistanceKm !== undefined && filter.near.radiusKm === undefined) {
+      corrections.push({ field: 'near.radiusKm', from: null, to: filter.maxDistanceKm, reason: 'distance is from the place, not the airport' });
+      filter.near = { ...filter.near, radiusKm: filter.maxDistanceKm };
+      delete filter.maxDistanceKm;
+    }
+    if (filter.rank?.by === 'DistanceKmFromAirport') {
+      corrections.push({ field: 'rank.by', from: 'DistanceKmFromAirport', to: 'DistanceKm', reason: 'distance is from the place, not the airport' });
+      filter.rank = { ...filter.rank, by: 'DistanceKm' };
+    }
+  }
+  return corrections;
+}
@@ -0,0 +1,124 @@
+/*
+  lib/countries.js
+  ----------------
+  Per-country reference data, kept in data/countries/*.json rather than in
+  code – adding a country is adding a file:
+
+    { code, name, aliases,
+      currency: { code, symbol, aliases, rate },
+      regions: [...],                                  states, provinces, emirates
+      cities: { <City>: { region, lat, lon } },        as written in the sheets
+      cityAliases: { <alias>: <canonical city> },      lower case
+      airports: [{ code, name, city, lat, lon }] }
+
+  A currency's `rate` is what one unit is worth in rupees, the currency the
+  point-value thresholds (lib/value.js) are given in and point values are
+  compared and added up in (lib/rank.js, lib/filter.js, lib/planner.js).
+*/
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const COUNTRIES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'countries');
+
+// Country of rows that name none and whose city no country file knows.
+export const DEFAULT_COUNTRY = 'IN';
+
+/** Read every *.json in `dir` into a registry (see createCountryRegistry). */
+export function loadCountries(dir = COUNTRIES_DIR) {
+  const list = fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort().map(f => {
+    const country = JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8'));
+    const missing = ['code', 'name', 'currency'].filter(k => !country[k]);
+    if (missing.length) throw new Error(`${f}: missing ${missing.join(', ')}`);
+    return { aliases: [], regions: [], cities: {}, cityAliases: {}, airports: [], ...country };
+  });
+  return createCountryRegistry(list);
+}
+
+// The longest of `names` that `text` is or contains (any case), or undefined.
+function findName(names, text) {
+  const key = String(text ?? '').trim().toLowerCase();
+  if (!key) return undefined;
+  const exact = names.find(n => n.toLowerCase() === key);
+  if (exact) return exact;
+  return names.filter(n => key.includes(n.toLowerCase())).sort((a, b) => b.length - a.length)[0];
+}
+
+export function createCountryRegistry(list) {
+  const byName = new Map(); // lower-case code, name or alias → country
+  const currencies = new Map(); // currency code → currency
+  for (const country of list) {
+    for (const name of [country.code, country.name, ...country.aliases]) byName.set(name.toLowerCase(), country);
+    currencies.set(country.currency.code, country.currency);
+  }
+  // [token, currency code] for every sign, code and alias, longest first so
+  // "Rs." is stripped before "Rs".
+  const currencyTokens = [...currencies.values()]
+    .flatMap(c => [c.symbol, c.code, ...(c.aliases || [])].map(t => [t.toLowerCase(), c.code]))
+    .sort((a, b) => b[0].length - a[0].length);
+
+  const registry = {
+    list,
+
+    /** The country with this code, name or alias (any case), or undefined. */
+    get(name) {
+      return byName.get(String(name ?? '').trim().toLowerCase());
+    },
+
+    /** The first country whose city table has `city` in it. */
+    ofCity(city) {
+      return list.find(c => findName(Object.keys(c.cities), city));
+    },
+
+    /**
+     * The country of a row: the one its Country cell names (undefined for an
+     * unknown name), else the country of its city, else `fallback`.
+     */
+    resolve({ country, city }, fallback = DEFAULT_COUNTRY) {
+      if (country) return registry.get(country);
+      return registry.ofCity(city) || registry.get(fallback);
+    },
+
+    /** Region of a city cell in `country`: exact (any case), else the longest city in it. */
+    regionOf(city, country) {
+      const name = country && findName(Object.keys(country.cities), city);
+      return name ? country.cities[name].region ?? null : null;
+    },
+
+    currency(code) {
+      return currencies.get(String(code ?? '').toUpperCase());
+    },
+
+    /** `amount` of currency `code` in rupees (unknown currencies count as ₹); null stays null. */
+    inRupees(amount, code) {
+      return amount == null ? null : amount * (registry.currency(code)?.rate ?? 1);
+    },
+
+    /** The currency sign or code a value starts or ends with: { token, code }, or null. */
+    currencyIn(raw) {
+      const s = String(raw ?? '').replace(/\s/g, '').toLowerCase();
+      const hit = currencyTokens.find(([t]) => s.startsWith(t) || s.endsWith(t));
+      return hit ? { token: hit[0], code: hit[1] } : null;
+    },
+
+    /** Code → { symbol, rate } of every currency, for the UI. */
+    currencyTable() {
+      return Object.fromEntries([...currencies.values()].map(c => [c.code, { symbol: c.symbol, rate: c.rate }]));
+    },
+
+    /** Lower-case name or alias → country name, for the offline parser. */
+    names() {
+      // Not the two-letter codes: "in" is in every other sentence.
+      return Object.fromEntries([...byName].filter(([key, c]) => key !== c.code.toLowerCase()).map(([key, c]) => [key, c.name]));
+    },
+
+    // Every country's airports and city aliases, merged.
+    airports: list.flatMap(c => c.airports.map(a => ({ ...a, country: c.code }))),
+    cityAliases: Object.assign({}, ...list.map(c => c.cityAliases))
+  };
+  return registry;
+}
+
+// The bundled countries, used wherever no other registry is passed in.
+export const countries = loadCountries();
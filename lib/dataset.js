@@ -0,0 +1,249 @@
+/*
+  lib/dataset.js
+  --------------
+  Loading hotel CSVs into in-memory datasets, and a store that keeps several
+  named datasets (one per `data/*.csv`, e.g. `data/india-2025-06.csv` →
+  "india-2025-06") up to date while the server runs.
+
+  A dataset is built completely – records, ID lookup, parser vocabulary, fuzzy
+  name index – before it replaces the previous version, so a request always
+  sees one consistent snapshot. A file that fails to load or validate leaves
+  the last good version in place and the error is reported by status().
+*/
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { parse } from 'csv-parse/sync';
+import { buildVocabulary } from './local_parser.js';
+import { createNameIndex } from './fuzzy.js';
+import { rawField, parseNumber, slugify } from './columns.js';
+import { validateRows } from './validate.js';
+import { createValueScorer } from './value.js';
+import { countries as defaultCountries, DEFAULT_COUNTRY } from './countries.js';
+
+/**
+ * Map a raw CSV row to the record shape the server uses. Numbers that are
+ * blank or unparseable become null (not 0 – a 0 km airport distance would
+ * look real); the validator reports them.
+ *
+ * A row without a Country cell is in the country of its city
+ * (lib/countries.js), else `defaultCountry`. Its Currency is the Currency
+ * cell, else the sign on AvgPtValue ("฿0.35"), else the country's currency.
+ * GeoPrecision is 'city' when Lat/Lon are only the city centre (lib/pipeline.js).
+ */
+export function normalizeRecord(r, { countries = defaultCountries, defaultCountry = DEFAULT_COUNTRY } = {}) {
+  const number = field => {
+    const n = parseNumber(rawField(r, field));
+    return Number.isNaN(n) ? null : n;
+  };
+  const City = rawField(r, 'City') || '';
+  const countryCell = String(rawField(r, 'Country') ?? '').trim();
+  const country = countries.resolve({ country: countryCell, city: City }, defaultCountry);
+  return {
+    Brand: rawField(r, 'Brand') || '',
+    Hotel: rawField(r, 'Hotel') || '',
+    City,
+    AvgPtValue: number('AvgPtValue'),
+    AvgPtsNight: number('AvgPtsNight'),
+    AvgPts5Nights: number('AvgPts5Nights'),
+    State: rawField(r, 'State') || '',
+    Country: country?.name ?? countryCell,
+    Currency: String(rawField(r, 'Currency') ?? '').trim().toUpperCase()
+      || countries.currencyIn(rawField(r, 'AvgPtValue'))?.code
+      || country?.currency.code
+      || '',
+    DistanceKmFromAirport: number('DistanceKmFromAirport'),
+    DriveMinutesFromAirport: number('DriveMinutesFromAirport'),
+    Lat: number('Lat'),
+    Lon: number('Lon'),
+    GeoPrecision: rawField(r, 'GeoPrecision') || '',
+    AirportCode: rawField(r, 'AirportCode') || ''
+  };
+}
+
+// Ids are the slug of the hotel name and city – the city left out when the
+// name already says it ("JW Marriott Hotel Pune" in Pune is
+// jw-marriott-hotel-pune). An Id depends on its own row only: not on the row
+// order, nor on which other hotels share the name, so links and price
+// history keep pointing at the same hotel as rows come and go. Only rows
+// that end up with the same Id (the same name and city, a duplicate the
+// validator reports) fall back to a numbered suffix in row order.
+function assignIds(records) {
+  const byId = new Map();
+  for (const r of records) {
+    const name = slugify(r.Hotel);
+    const city = slugify(r.City);
+    const base = !city || `-${name}-`.includes(`-${city}-`) ? name : `${name}-${city}`;
+    let id = base;
+    for (let n = 2; byId.has(id); n++) id = `${base}-${n}`;
+    r.Id = id;
+    byId.set(id, r);
+  }
+  return byId;
+}
+
+// Minimum a file must satisfy before it may replace a served dataset.
+function checkRecords(records, file) {
+  if (!records.length) throw new Error(`${file}: no rows`);
+  const missing = ['Brand', 'Hotel', 'City', 'AvgPtsNight'].filter(k => !records.some(r => r[k]));
+  if (missing.length) throw new Error(`${file}: missing column(s) ${missing.join(', ')}`);
+  const unpriced = records.filter(r => !(r.AvgPtsNight > 0)).length;
+  if (unpriced > records.length / 2) throw new Error(`${file}: ${unpriced} of ${records.length} rows have no points value`);
+}
+
+export function readRows(file) {
+  return parseRows(fs.readFileSync(file, 'utf8'));
+}
+
+function parseRows(text) {
+  return parse(text, {
+    columns: true,
+    skip_empty_lines: true
+  });
+}
+
+/**
+ * Read and index one CSV file. Throws if the file can't be parsed or fails
+ * the basic checks above – or, with `strict`, if the data-quality report
+ * (lib/validate.js) has any errors. The report is kept on the dataset.
+ * `value` (lib/value.js) adds each record's point value and rating;
+ * `countries` (lib/countries.js) places rows without a Country.
+ */
+export function loadDataset(file, { cityAliases = {}, strict = false, value = createValueScorer(), countries = defaultCountries, defaultCountry = DEFAULT_COUNTRY } = {}) {
+  const text = fs.readFileSync(file, 'utf8');
+  const rawRecords = parseRows(text);
+  const report = validateRows(rawRecords, { file: path.basename(file), countries, defaultCountry });
+  if (strict && report.errors.length) {
+    const err = new Error(`${path.basename(file)}: ${report.errors.length} validation error(s) – refusing to serve (strict mode)`);
+    err.report = report;
+    throw err;
+  }
+  const records = rawRecords.map(r => normalizeRecord(r, { countries, defaultCountry }));
+  checkRecords(records, path.basename(file));
+  const recordsById = assignIds(records);
+  for (const r of records) Object.assign(r, value.score(r));
+
+  return {
+    name: path.basename(file, '.csv'),
+    file,
+    loadedAt: new Date().toISOString(),
+    // Identifies this exact file content (e.g. to match a history snapshot)
+    hash: crypto.createHash('sha1').update(text).digest('hex'),
+    report,
+    records,
+    recordsById,
+    // Build a quick lookup of state names available in the dataset
+    knownStates: new Set(records.map(r => r.State.toLowerCase()).filter(Boolean)),
+    // Brand / city / state / country phrases for the offline parser
+    vocabulary: buildVocabulary(records, cityAliases, countries.names()),
+    // Normalised names for typo-tolerant filtering
+    nameIndex: createNameIndex(records)
+  };
+}
+
+/**
+ * Keep every `*.csv` in `dir` loaded as a named dataset. Call watch() to
+ * reload files as they change. `onLoad(ds)` runs after each successful load.
+ */
+export function createDatasetStore(dir, { cityAliases = {}, defaultName = 'hotels', strict = false, value, countries, defaultCountry, onLoad = () => {} } = {}) {
+  const datasets = new Map(); // name → dataset
+  const errors = new Map(); // name → { error, at, report? }
+  const timers = new Map();
+  let watcher = null;
+
+  function load(name) {
+    const file = path.join(dir, `${name}.csv`);
+    if (!fs.existsSync(file)) {
+      if (name === defaultName && datasets.has(name)) {
+        errors.set(name, { error: `${name}.csv removed – serving last loaded version`, at: new Date().toISOString() });
+      } else {
+        datasets.delete(name);
+        errors.delete(name);
+      }
+      return;
+    }
+    try {
+      const ds = loadDataset(file, { cityAliases, strict, value, countries, defaultCountry });
+      datasets.set(name, ds); // the swap: one assignment, no partial state
+      errors.delete(name);
+      const { errors: bad, warnings } = ds.report;
+      if (bad.length || warnings.length) {
+        console.warn(`⚠ ${name}: ${bad.length} data error(s), ${warnings.length} warning(s) – see npm run validate`);
+      }
+      onLoad(ds);
+      return ds;
+    } catch (err) {
+      errors.set(name, { error: err.message, at: new Date().toISOString(), report: err.report });
+      console.warn(`⚠ Could not load ${file}: ${err.message}`);
+    }
+  }
+
+  function loadAll() {
+    if (!fs.existsSync(dir)) return;
+    for (const f of fs.readdirSync(dir)) {
+      if (f.endsWith('.csv')) load(path.basename(f, '.csv'));
+    }
+  }
+
+  return {
+    defaultName,
+    loadAll,
+    reload: load,
+
+    /** The named dataset, or the default one when `name` is empty. */
+    get(name) {
+      return datasets.get(name || defaultName);
+    },
+
+    names() {
+      return [...datasets.keys()];
+    },
+
+    /** Data-quality report of the served version, else of the failed load. */
+    report(name) {
+      return datasets.get(name)?.report ?? errors.get(name)?.report;
+    },
+
+    /** Per-dataset summary for the admin endpoint. */
+    status() {
+      const names = new Set([...datasets.keys(), ...errors.keys()]);
+      return [...names].sort().map(name => {
+        const ds = datasets.get(name);
+        return {
+          name,
+          default: name === defaultName,
+          file: path.relative(process.cwd(), path.join(dir, `${name}.csv`)),
+          rows: ds ? ds.records.length : 0,
+          loadedAt: ds?.loadedAt ?? null,
+          dataErrors: ds ? ds.report.errors.length : null,
+          dataWarnings: ds ? ds.report.warnings.length : null,
+          error: errors.get(name)?.error ?? null,
+          errorAt: errors.get(name)?.at ?? null
+        };
+      });
+    },
+
+    /** Reload a CSV shortly after it changes (editors write in several steps). */
+    watch(delayMs = 300) {
+      if (watcher) return;
+      watcher = fs.watch(dir, (event, filename) => {
+        if (!filename || !filename.endsWith('.csv')) return;
+        const name = path.basename(filename, '.csv');
+        clearTimeout(timers.get(name));
+        timers.set(name, setTimeout(() => {
+          timers.delete(name);
+          const ds = load(name);
+          if (ds) console.log(`↻ Reloaded dataset "${name}" (${ds.records.length} rows)`);
+        }, delayMs));
+      });
+    },
+
+    close() {
+      if (watcher) watcher.close();
+      watcher = null;
+      for (const t of timers.values()) clearTimeout(t);
+      timers.clear();
+    }
+  };
+}
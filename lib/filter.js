@@ -0,0 +1,185 @@
+/*
+  lib/filter.js
+  -------------
+  The filter object shared by every search path – LLM output, the local
+  parser, /hotels query strings and edited filters posted back by the UI:
+  its JSON schema, and how a filter selects records from a dataset.
+*/
+
+import Ajv from 'ajv';
+import { rankSchema } from './rank.js';
+import { MATCH_THRESHOLD } from './fuzzy.js';
+import { stayCost } from './planner.js';
+import { distanceFrom } from './places.js';
+import { countries } from './countries.js';
+
+// city / brand / state / country (and their exclude* counterparts) accept one
+// value or a list meaning "any of".
+const oneOrMany = { anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' }, minItems: 1 }] };
+export const filterSchema = {
+  type: 'object',
+  properties: {
+    city: oneOrMany,
+    brand: oneOrMany,
+    state: oneOrMany,
+    country: oneOrMany,
+    hotel: { type: 'string' },
+    excludeCity: oneOrMany,
+    excludeBrand: oneOrMany,
+    excludeState: oneOrMany,
+    excludeCountry: oneOrMany,
+    minPtsNight: { type: 'number' },
+    maxPtsNight: { type: 'number' },
+    maxPts5Nights: { type: 'number' },
+    // value of a point in ₹, whatever the hotel's currency (compared with
+    // countries.inRupees in applyFilter)
+    minPtValue: { type: 'number' },
+    maxPtValue: { type: 'number' },
+    maxDistanceKm: { type: 'number' },
+    maxDriveMinutes: { type: 'number' },
+    // length of stay – adds the stay's points cost to each result
+    nights: { type: 'integer', minimum: 1, maximum: 60 },
+    // a named place (lib/places.js) or coordinates; results carry DistanceKm
+    near: {
+      type: 'object',
+      properties: {
+        place: { type: 'string' },
+        lat: { type: 'number', minimum: -90, maximum: 90 },
+        lon: { type: 'number', minimum: -180, maximum: 180 },
+        radiusKm: { type: 'number', exclusiveMinimum: 0 }
+      },
+      anyOf: [{ required: ['place'] }, { required: ['lat', 'lon'] }],
+      additionalProperties: false
+    },
+    // the visible map area or a box drawn on it (set by the UI, not the LLM)
+    bounds: {
+      type: 'object',
+      properties: {
+        south: { type: 'number', minimum: -90, maximum: 90 },
+        west: { type: 'number', minimum: -180, maximum: 180 },
+        north: { type: 'number', minimum: -90, maximum: 90 },
+        east: { type: 'number', minimum: -180, maximum: 180 }
+      },
+      required: ['south', 'west', 'north', 'east'],
+      additionalProperties: false
+    },
+    rank: rankSchema
+  },
+  additionalProperties: false
+};
+const ajv = new Ajv();
+export const validateFilter = ajv.compile(filterSchema);
+// Query-string values are always strings; this copy coerces them in place.
+export const validateQueryFilter = new Ajv({ coerceTypes: true }).compile(filterSchema);
+
+export const asList = v => (v === undefined ? [] : [].concat(v));
+export const fromList = list => (list.length === 1 ? list[0] : list);
+
+// Best fuzzy score of any filter value against any of the record's texts,
+// or 0 when none clears MATCH_THRESHOLD.
+function bestScore(nameIndex, values, texts) {
+  let best = 0;
+  for (const v of values) {
+    for (const t of texts) best = Math.max(best, nameIndex.score(v, t));
+  }
+  return best >= MATCH_THRESHOLD ? best : 0;
+}
+
+// Name filters: filter key → record fields it is matched against.
+const NAME_FILTERS = {
+  city: r => [r.City],
+  brand: r => [r.Brand, r.Hotel],
+  state: r => [r.State],
+  country: r => [r.Country],
+  hotel: r => [r.Hotel]
+};
+
+// "UAE", "th" → the name records carry; other values are matched as given.
+const countryNames = values => asList(values).map(v => countries.get(v)?.name ?? v);
+
+export function applyFilter(ds, filter) {
+  const { nameIndex } = ds;
+  // Each name filter contributes its match score; rows are returned best
+  // match first (ties keep CSV order).
+  let res = ds.records.map(r => ({ r, score: 1 }));
+  for (const [key, texts] of Object.entries(NAME_FILTERS)) {
+    // List-valued keys match if any of the values match.
+    const values = key === 'country' ? countryNames(filter[key]) : asList(filter[key]);
+    // treat plain "marriott" as umbrella (no filtering)
+    if (!values.length || (key === 'brand' && values.some(b => b.trim().toLowerCase() === 'marriott'))) continue;
+    res = res
+      .map(m => ({ r: m.r, score: m.score * bestScore(nameIndex, values, texts(m.r)) }))
+      .filter(m => m.score > 0);
+  }
+
+  // Exclusions only look at the field itself ("not Marriott" shouldn't drop
+  // every "Fairfield by Marriott").
+  for (const c of asList(filter.excludeCity)) res = res.filter(m => !bestScore(nameIndex, [c], [m.r.City]));
+  for (const b of asList(filter.excludeBrand)) res = res.filter(m => !bestScore(nameIndex, [b], [m.r.Brand]));
+  for (const s of asList(filter.excludeState)) res = res.filter(m => !bestScore(nameIndex, [s], [m.r.State]));
+  for (const c of countryNames(filter.excludeCountry)) res = res.filter(m => !bestScore(nameIndex, [c], [m.r.Country]));
+
+  // [filter key, record value, test]; rows with no value (null) never pass.
+  // Point values are in the hotel's currency and the bounds in ₹.
+  const atMost = (v, bound) => v <= bound;
+  const atLeast = (v, bound) => v >= bound;
+  const field = name => r => r[name];
+  const pointValue = r => countries.inRupees(r.PointValue, r.Currency);
+  const bounds = [
+    ['maxPtsNight', field('AvgPtsNight'), atMost],
+    ['minPtsNight', field('AvgPtsNight'), atLeast],
+    ['maxPts5Nights', field('AvgPts5Nights'), atMost],
+    ['minPtValue', pointValue, atLeast],
+    ['maxPtValue', pointValue, atMost],
+    ['maxDistanceKm', field('DistanceKmFromAirport'), atMost],
+    ['maxDriveMinutes', field('DriveMinutesFromAirport'), atMost]
+  ];
+  for (const [key, value, test] of bounds) {
+    if (filter[key] !== undefined) res = res.filter(m => value(m.r) != null && test(value(m.r), filter[key]));
+  }
+
+  // Hotels inside `bounds`; without coordinates they can't be placed.
+  const box = filter.bounds;
+  if (box) {
+    res = res.filter(({ r }) => r.Lat != null && r.Lon != null
+      && r.Lat >= box.south && r.Lat <= box.north && r.Lon >= box.west && r.Lon <= box.east);
+  }
+
+  // `near` with coordinates (see resolveNear): hotels within radiusKm of the
+  // point, nearest first, each with its DistanceKm. Hotels without Lat/Lon
+  // can't be placed and drop out.
+  const { near } = filter;
+  if (near && Number.isFinite(near.lat) && Number.isFinite(near.lon)) {
+    const radius = near.radiusKm ?? Infinity;
+    return res
+      .map(m => ({ ...m.r, DistanceKm: distanceFrom(near, m.r) }))
+      .filter(r => r.DistanceKm !== null && r.DistanceKm <= radius)
+      .sort((a, b) => a.DistanceKm - b.DistanceKm);
+  }
+
+  return res.sort((a, b) => b.score - a.score).map(m => m.r);
+}
+
+// "Did you mean" candidates for name filter values that match nothing on
+// their own, e.g. { field: 'city', value: 'hyderbd', didYouMean: ['Hyderabad'] }.
+export function suggestFor(ds, filter) {
+  const fields = { city: 'City', brand: 'Brand', state: 'State', country: 'Country', hotel: 'Hotel' };
+  const suggestions = [];
+  for (const [key, field] of Object.entries(fields)) {
+    for (const value of asList(filter[key])) {
+      if (applyFilter(ds, { [key]: value }).length) continue;
+      const didYouMean = ds.nameIndex.suggest(field, value);
+      if (didYouMean.length) suggestions.push({ field: key, value, didYouMean });
+    }
+  }
+  return suggestions;
+}
+
+// Cost of a `nights` stay at each row (5th night free), or the rows unchanged.
+export function withStayCost(records, nights) {
+  if (!nights) return records;
+  return records.map(r => {
+    const cost = stayCost(r, nights);
+    return cost ? { ...r, StayNights: nights, StayPts: cost.points, StayFreeNights: cost.freeNights, StayCashValue: cost.cashValue } : r;
+  });
+}
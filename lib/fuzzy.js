@@ -0,0 +1,108 @@
+/*
+  lib/fuzzy.js
+  ------------
+  Typo-tolerant name matching for the city / brand / state / hotel filters.
+
+  Names are compared after folding diacritics ("Méridien" → "meridien"),
+  case, punctuation and "&" → "and". A query matches a name when it is a
+  substring of it (the old behaviour), when it matches with all spaces removed
+  ("J W Marriott" → "jwmarriott"), or when every query word is close to some
+  word of the name – same word, a prefix ("himalaya" → "himalayas") or a small
+  edit distance ("hyderbad" → "hyderabad"). Scores run from 0 to 1.
+*/
+
+export const MATCH_THRESHOLD = 0.75;
+const SUGGEST_THRESHOLD = 0.5;
+
+export function normalizeName(s) {
+  return String(s ?? '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/&/g, ' and ').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Levenshtein distance, giving up (returning max + 1) once it exceeds `max`.
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, cur[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function tokenSimilarity(q, t) {
+  if (q === t) return 1;
+  if (q.length >= 3 && t.startsWith(q)) return 0.9;
+  const allowed = q.length < 4 ? 0 : q.length < 8 ? 1 : 2;
+  if (!allowed) return 0;
+  const d = editDistance(q, t, allowed);
+  return d <= allowed ? 1 - d / Math.max(q.length, t.length) : 0;
+}
+
+function toEntry(name) {
+  const norm = normalizeName(name);
+  return { name, norm, compact: norm.replace(/ /g, ''), tokens: norm.split(' ').filter(Boolean) };
+}
+
+function score(q, entry) {
+  if (!q.norm) return 0;
+  if (entry.norm.includes(q.norm)) return 1;
+  if (entry.compact.includes(q.compact)) return 0.95;
+  let total = 0;
+  for (const qt of q.tokens) {
+    let best = 0;
+    for (const t of entry.tokens) best = Math.max(best, tokenSimilarity(qt, t));
+    if (!best) return 0;
+    total += best;
+  }
+  return total / q.tokens.length;
+}
+
+// Looser whole-string similarity used only to rank "did you mean" candidates.
+function similarity(q, entry) {
+  const d = editDistance(q.compact, entry.compact);
+  return Math.max(score(q, entry), 1 - d / Math.max(q.compact.length, entry.compact.length, 1));
+}
+
+/**
+ * Index every distinct City / Brand / State / Country / Hotel value of
+ * `records` so matching doesn't re-normalise names on every request.
+ */
+export function createNameIndex(records) {
+  const entries = new Map(); // dataset value → entry
+  const names = { City: new Set(), Brand: new Set(), State: new Set(), Country: new Set(), Hotel: new Set() };
+  for (const r of records) {
+    for (const field of Object.keys(names)) {
+      if (r[field]) {
+        names[field].add(r[field]);
+        if (!entries.has(r[field])) entries.set(r[field], toEntry(r[field]));
+      }
+    }
+  }
+  // Query strings are not cached – they're unbounded user input.
+  const entryFor = s => entries.get(s) || toEntry(s);
+
+  return {
+    /** Match score (0–1) of a filter value against a record value. */
+    score(query, value) {
+      return score(entryFor(query), entryFor(value ?? ''));
+    },
+
+    /** Up to `n` dataset values of `field` that look like `query`. */
+    suggest(field, query, n = 3) {
+      const q = entryFor(query);
+      return [...names[field]]
+        .map(name => ({ name, sim: similarity(q, entryFor(name)) }))
+        .filter(c => c.sim >= SUGGEST_THRESHOLD)
+        .sort((a, b) => b.sim - a.sim)
+        .slice(0, n)
+        .map(c => c.name);
+    }
+  };
+}
@@ -0,0 +1,68 @@
+/*
+  lib/geo.js
+  ----------
+  Offline geography: the airports and approximate city centres of the
+  country files (lib/countries.js), and straight-line (haversine) distances
+  between them and the hotels.
+
+  Airports carry IATA codes so the nearest one can be picked by distance – a
+  hotel in Gurgaon or Navi Mumbai isn't necessarily closest to "its" city's
+  airport. City centres stand in for a hotel's position when it was never
+  geocoded.
+*/
+
+import { countries } from './countries.js';
+
+// IATA code, airport, city served, coordinates and country, from every
+// country file.
+export const AIRPORTS = countries.airports;
+
+// Approximate centre of each city in the country files (lower-case keys).
+export const CITY_CENTRES = Object.fromEntries(countries.list.flatMap(c => Object.entries(c.cities)
+  .filter(([, city]) => Number.isFinite(city.lat) && Number.isFinite(city.lon))
+  .map(([name, city]) => [name.toLowerCase(), { lat: city.lat, lon: city.lon }])));
+
+// Road distance is longer than the straight line, and traffic slower than the
+// limit; these turn a haversine distance into a plausible drive.
+export const ROAD_FACTOR = 1.3;
+export const AVERAGE_SPEED_KMH = 40;
+
+const toRad = d => (d * Math.PI) / 180;
+
+/** Great-circle distance in km between two { lat, lon } points. */
+export function haversineKm(a, b) {
+  const R = 6371; // Earth radius km
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * R * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+/** The closest airport to `point` as { airport, km } (straight line). */
+export function nearestAirport(point, airports = AIRPORTS) {
+  let best = null;
+  for (const airport of airports) {
+    const km = haversineKm(point, airport);
+    if (!best || km < best.km) best = { airport, km };
+  }
+  return best;
+}
+
+/** Rough drive time in minutes for a straight-line distance. */
+export function estimateDriveMinutes(km) {
+  return Math.round((km * ROAD_FACTOR) / AVERAGE_SPEED_KMH * 60);
+}
+
+/**
+ * Centre of the city named in a CSV row ("Gurugram Haryana",
+ * "Sohna-Gurgaon" and the like match on a known city inside the name).
+ */
+export function cityCentre(city) {
+  const key = String(city).toLowerCase().trim();
+  if (CITY_CENTRES[key]) return CITY_CENTRES[key];
+  // Longest known name contained in the cell, so "navi mumbai" beats "mumbai"
+  const match = Object.keys(CITY_CENTRES)
+    .filter(name => key.includes(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? CITY_CENTRES[match] : null;
+}
@@ -0,0 +1,128 @@
+/*
+  lib/history.js
+  --------------
+  Point-price history across successive snapshots of a dataset CSV. Marriott
+  changes award prices often; each `npm run history -- import` records the
+  prices of one snapshot so they can be compared later.
+
+  One JSON file per dataset (data/history/<dataset>.json by default):
+
+    {
+      "snapshots": [{ "id": "2025-06-01", "importedAt": "…", "source": "data/hotels.csv", "hash": "…", "rows": 145 }],
+      "hotels": { "<hotel Id>": { "Hotel": "…", "City": "…", "prices": [{ "snapshot": "2025-06-01", "AvgPtsNight": 31000, "AvgPts5Nights": 124000 }] } }
+    }
+
+  Snapshots are kept in import order; hotels are keyed by the stable record Id.
+*/
+
+import fs from 'fs';
+import path from 'path';
+
+export function historyFile(dir, dataset) {
+  return path.join(dir, `${dataset}.json`);
+}
+
+const empty = () => ({ snapshots: [], hotels: {} });
+
+// Parsed files keyed by path, re-read only when the file's mtime changes so
+// the server picks up imports made by the CLI.
+const cache = new Map();
+
+export function readHistory(file) {
+  if (!fs.existsSync(file)) return empty();
+  const { mtimeMs } = fs.statSync(file);
+  const hit = cache.get(file);
+  if (hit && hit.mtimeMs === mtimeMs) return hit.history;
+  const history = JSON.parse(fs.readFileSync(file, 'utf8'));
+  cache.set(file, { mtimeMs, history });
+  return history;
+}
+
+export function writeHistory(file, history) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  // Write-then-rename so a reader never sees half a file.
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(history, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Add the prices of a loaded dataset as a new snapshot. Returns the snapshot
+ * entry, or throws if the same file content was already imported.
+ */
+export function importSnapshot(history, dataset, { label, source } = {}) {
+  const dupe = history.snapshots.find(s => s.hash === dataset.hash);
+  if (dupe) throw new Error(`this data was already imported as snapshot "${dupe.id}"`);
+
+  let id = label || new Date().toISOString().slice(0, 10);
+  if (history.snapshots.some(s => s.id === id)) {
+    if (label) throw new Error(`snapshot "${label}" already exists`);
+    let n = 2;
+    while (history.snapshots.some(s => s.id === `${id}-${n}`)) n++;
+    id = `${id}-${n}`;
+  }
+
+  const snapshot = {
+    id,
+    importedAt: new Date().toISOString(),
+    source: source || dataset.file,
+    hash: dataset.hash,
+    rows: dataset.records.length
+  };
+  history.snapshots.push(snapshot);
+  for (const r of dataset.records) {
+    const entry = history.hotels[r.Id] ||= { Hotel: r.Hotel, City: r.City, prices: [] };
+    entry.Hotel = r.Hotel;
+    entry.City = r.City;
+    entry.prices.push({ snapshot: id, AvgPtsNight: r.AvgPtsNight, AvgPts5Nights: r.AvgPts5Nights });
+  }
+  return snapshot;
+}
+
+const direction = (from, to) => (to > from ? 'up' : to < from ? 'down' : 'same');
+
+/**
+ * Hotels whose AvgPtsNight differs between snapshots `fromId` and `toId`
+ * (default: the last two). `only` restricts to 'up' or 'down'. Largest
+ * relative change first.
+ */
+export function priceChanges(history, { from: fromId, to: toId, only } = {}) {
+  const ids = history.snapshots.map(s => s.id);
+  const to = toId ?? ids[ids.length - 1];
+  const from = fromId ?? ids[ids.indexOf(to) - 1];
+  for (const id of [from, to]) {
+    if (!ids.includes(id)) throw new Error(id === undefined ? 'need at least two snapshots' : `unknown snapshot "${id}"`);
+  }
+
+  const changes = [];
+  for (const [Id, h] of Object.entries(history.hotels)) {
+    const a = h.prices.find(p => p.snapshot === from)?.AvgPtsNight;
+    const b = h.prices.find(p => p.snapshot === to)?.AvgPtsNight;
+    if (a == null || b == null || a === b) continue;
+    const dir = direction(a, b);
+    if (only && dir !== only) continue;
+    changes.push({ Id, Hotel: h.Hotel, City: h.City, from: a, to: b, change: b - a, changePct: Math.round((b - a) / a * 1000) / 10, direction: dir });
+  }
+  changes.sort((x, y) => Math.abs(y.changePct) - Math.abs(x.changePct));
+  return { from, to, changes };
+}
+
+/**
+ * For each hotel, the price in the snapshot before the one being served and
+ * how the current price compares. The served data is matched to a snapshot by
+ * content hash; if it was never imported, the latest snapshot is "previous".
+ * Returns Id → { PreviousPtsNight, PriceTrend, PreviousSnapshot }.
+ */
+export function previousPrices(history, dataset) {
+  const ids = history.snapshots.map(s => s.id);
+  const current = history.snapshots.findIndex(s => s.hash === dataset.hash);
+  const prevId = current === -1 ? ids[ids.length - 1] : ids[current - 1];
+  const result = new Map();
+  if (!prevId) return result;
+  for (const r of dataset.records) {
+    const prev = (Object.hasOwn(history.hotels, r.Id) ? history.hotels[r.Id] : undefined)?.prices.find(p => p.snapshot === prevId)?.AvgPtsNight;
+    if (prev == null || r.AvgPtsNight == null) continue;
+    result.set(r.Id, { PreviousPtsNight: prev, PriceTrend: direction(prev, r.AvgPtsNight), PreviousSnapshot: prevId });
+  }
+  return result;
+}
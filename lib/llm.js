@@ -0,0 +1,234 @@
+/*
+  lib/llm.js
+  ----------
+  LLM providers that turn a sentence into a JSON filter, selected by config:
+
+    openai             – the OpenAI API (OPENAI_API_KEY / LLM_API_KEY)
+    openai-compatible  – any server speaking the OpenAI chat API at
+                         LLM_BASE_URL, e.g. llama.cpp (`llama-server`) or
+                         Ollama (http://localhost:11434/v1)
+    mock               – answers from a fixture file (LLM_FIXTURES), no network
+
+  A provider only has to implement `complete(messages, { schema })`
+  and return the model's raw JSON text. `createFilterParser` owns the rest:
+  it parses that text, validates it with Ajv and, when either fails, sends the
+  errors back to the model and asks again (LLM_RETRIES times).
+*/
+
+import fs from 'fs';
+import path from 'path';
+import OpenAI from 'openai';
+
+export const PROVIDERS = ['openai', 'openai-compatible', 'mock'];
+
+// How the model is asked for JSON:
+//   tools – function calling with the filter schema as parameters (default)
+//   json  – response_format json_object, schema described in the prompt only
+//   text  – plain completion; for servers that support neither
+export const OUTPUT_MODES = ['tools', 'json', 'text'];
+
+const TOOL_NAME = 'set_filter';
+
+/** Provider settings from environment variables. */
+export function configFromEnv(env = process.env) {
+  const provider = env.LLM_PROVIDER || 'openai';
+  // 0 is a valid retry count; blank or anything but a whole number is not.
+  const retries = Number(env.LLM_RETRIES);
+  return {
+    provider,
+    model: env.LLM_MODEL || (provider === 'openai' ? 'gpt-3.5-turbo' : 'local-model'),
+    baseURL: env.LLM_BASE_URL || undefined,
+    apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY || '',
+    output: env.LLM_OUTPUT || 'tools',
+    retries: env.LLM_RETRIES?.trim() && Number.isInteger(retries) && retries >= 0 ? retries : 2,
+    timeoutMs: Number(env.LLM_TIMEOUT_MS) || 30000,
+    fixtures: env.LLM_FIXTURES || path.join('fixtures', 'llm.json'),
+    record: env.LLM_RECORD === '1'
+  };
+}
+
+/**
+ * Build the provider described by `config` (see configFromEnv). Every provider
+ * has `name`, `model`, `available` and – when unavailable – `reason`.
+ */
+export function createProvider(config) {
+  if (!PROVIDERS.includes(config.provider)) {
+    throw new Error(`unknown LLM_PROVIDER "${config.provider}" (expected ${PROVIDERS.join(', ')})`);
+  }
+  if (!OUTPUT_MODES.includes(config.output)) {
+    throw new Error(`unknown LLM_OUTPUT "${config.output}" (expected ${OUTPUT_MODES.join(', ')})`);
+  }
+  const provider = config.provider === 'mock' ? createMockProvider(config) : createOpenAIProvider(config);
+  return config.record && config.provider !== 'mock' ? recording(provider, config.fixtures) : provider;
+}
+
+function createOpenAIProvider({ provider, model, baseURL, apiKey, output, timeoutMs }) {
+  const compatible = provider === 'openai-compatible';
+  let reason = null;
+  if (compatible && !baseURL) reason = 'LLM_BASE_URL not set';
+  else if (!compatible && !apiKey) reason = 'OPENAI_API_KEY not set';
+
+  // Local servers usually ignore the key, but the SDK insists on one.
+  const client = reason ? null : new OpenAI({ apiKey: apiKey || 'not-needed', baseURL, timeout: timeoutMs, maxRetries: 1 });
+
+  return {
+    name: provider,
+    model,
+    available: !reason,
+    reason,
+    async complete(messages, { schema } = {}) {
+      if (!client) throw new Error(reason);
+      const request = { model, temperature: 0, messages };
+      if (output === 'tools' && schema) {
+        request.tools = [{
+          type: 'function',
+          function: { name: TOOL_NAME, description: 'Filter the hotel list', parameters: schema }
+        }];
+        request.tool_choice = { type: 'function', function: { name: TOOL_NAME } };
+      } else if (output === 'json') {
+        request.response_format = { type: 'json_object' };
+      }
+      const { choices } = await client.chat.completions.create(request);
+      const message = choices[0].message;
+      // Some servers answer in content even when a tool call was requested.
+      const call = message.tool_calls?.find(c => c.function?.name === TOOL_NAME);
+      return call ? call.function.arguments : (message.content || '').trim();
+    }
+  };
+}
+
+// Fixture keys: case and spacing of the query don't matter.
+const fixtureKey = query => String(query).trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Replays recorded answers from a JSON file: { "<query>": answer }. An answer
+ * is a filter object, a raw string (to replay malformed output), or an array
+ * of those returned on successive calls – the last one repeats – which is how
+ * a retry after bad JSON is scripted. Unknown queries throw, like a network
+ * failure would. Tests can pass the same mapping as `answers` instead.
+ */
+function createMockProvider({ fixtures, answers: given }) {
+  let reason = null;
+  let raw = given;
+  if (!raw && fs.existsSync(fixtures)) raw = JSON.parse(fs.readFileSync(fixtures, 'utf8'));
+  else if (!raw) reason = `fixture file ${fixtures} not found`;
+  const answers = normalizeFixtures(raw || {});
+  const calls = new Map(); // key → number of calls so far
+
+  return {
+    name: 'mock',
+    model: 'fixtures',
+    available: !reason,
+    reason,
+    async complete(messages) {
+      if (reason) throw new Error(reason);
+      // Retries append to the conversation; the query is the first user turn.
+      const query = messages.find(m => m.role === 'user')?.content ?? '';
+      const key = fixtureKey(query);
+      if (!(key in answers)) throw new Error(`no recorded LLM answer for "${query}"`);
+      const n = calls.get(key) || 0;
+      calls.set(key, n + 1);
+      const answer = [].concat(answers[key]);
+      const pick = answer[Math.min(n, answer.length - 1)];
+      return typeof pick === 'string' ? pick : JSON.stringify(pick);
+    }
+  };
+}
+
+function normalizeFixtures(raw) {
+  return Object.fromEntries(Object.entries(raw).map(([q, a]) => [fixtureKey(q), a]));
+}
+
+// Wrap a live provider so every first-turn answer is saved to the fixture
+// file (LLM_RECORD=1), building a corpus the mock can replay.
+function recording(provider, file) {
+  return {
+    ...provider,
+    async complete(messages, options) {
+      const text = await provider.complete(messages, options);
+      const users = messages.filter(m => m.role === 'user');
+      if (users.length === 1) {
+        const answers = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+        let answer = text;
+        try { answer = JSON.parse(text); } catch { /* keep the raw text */ }
+        answers[fixtureKey(users[0].content)] = answer;
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const tmp = `${file}.tmp`;
+        fs.writeFileSync(tmp, `${JSON.stringify(answers, null, 2)}\n`);
+        fs.renameSync(tmp, file);
+      }
+      return text;
+    }
+  };
+}
+
+/**
+ * Wrap a provider so each call spends one unit of `budget` (see
+ * lib/ratelimit.js createDailyBudget). A call over budget throws an error with
+ * code 'LLM_BUDGET' without reaching the model.
+ */
+export function withBudget(provider, budget) {
+  return {
+    ...provider,
+    async complete(messages, options) {
+      if (!budget.take()) {
+        const err = new Error('daily LLM budget exhausted');
+        err.code = 'LLM_BUDGET';
+        throw err;
+      }
+      return provider.complete(messages, options);
+    }
+  };
+}
+
+// Models like to wrap JSON in ``` fences despite being told not to.
+function parseJson(text) {
+  const unfenced = text.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  return JSON.parse(unfenced);
+}
+
+const describeErrors = errors => errors
+  .map(e => `${e.instancePath || '(root)'} ${e.message}${e.params?.additionalProperty ? ` ("${e.params.additionalProperty}")` : ''}`)
+  .join('; ');
+
+/**
+ * Returns `parse(query, context?)` → filter object. `validate` is a compiled
+ * Ajv validator for `schema`; `context` is an extra system message (e.g. the
+ * filter a follow-up refers to). Malformed JSON or a schema violation is sent
+ * back to the model with the errors, up to `retries` times; after that the
+ * error thrown has `status` 422 and the Ajv errors as `details`.
+ */
+export function createFilterParser({ provider, systemPrompt, schema, validate, retries = 2 }) {
+  return async function parse(query, context) {
+    const messages = [
+      { role: 'system', content: systemPrompt },
+      ...(context ? [{ role: 'system', content: context }] : []),
+      { role: 'user', content: query }
+    ];
+    let problem;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      const text = await provider.complete(messages, { schema });
+      let filter;
+      try {
+        const parsed = parseJson(text);
+        // An array or a bare value is not a filter, whatever the schema says.
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('expected a JSON object');
+        filter = parsed;
+      } catch (err) {
+        problem = { message: `invalid JSON: ${err.message}`, details: [] };
+      }
+      if (filter) {
+        if (validate(filter)) return filter;
+        problem = { message: `filter does not match the schema: ${describeErrors(validate.errors)}`, details: validate.errors };
+      }
+      messages.push(
+        { role: 'assistant', content: text },
+        { role: 'user', content: `That answer was rejected – ${problem.message}. Reply with the corrected JSON object only.` }
+      );
+    }
+    const err = new Error(`LLM returned an unusable filter after ${retries + 1} attempt(s): ${problem.message}`);
+    err.status = 422;
+    err.details = problem.details;
+    throw err;
+  };
+}
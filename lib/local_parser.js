@@ -0,0 +1,388 @@
+/*
+  lib/local_parser.js
+  -------------------
+  Deterministic, offline alternative to the OpenAI call in server.js. It turns
+  sentences such as "jw marriott under 35km from airport in goa" or "goa or
+  kerala under 20k, not courtyard, within 45 minutes drive" into the same
+  filter object the LLM produces, using only the brand, city, state and
+  country names found in the loaded CSV (plus the city aliases and the names
+  of the country files).
+
+  The parser is intentionally conservative: anything it does not recognise is
+  ignored rather than guessed, so an unknown sentence yields an empty filter.
+  The exception is a place: "in <words>" that names no known city, state or
+  country becomes a `city` as written, so a misspelling goes through the
+  fuzzy name match (lib/fuzzy.js) and an unknown place finds nothing, with
+  "did you mean" suggestions, instead of widening the search to every city.
+*/
+
+// Words that appear in many hotel names and say nothing about *which* hotel.
+const GENERIC_WORDS = new Set([
+  'the', 'and', 'hotel', 'hotels', 'resort', 'resorts', 'spa', 'suites', 'inn',
+  'by', 'at', 'of', 'in', 'on', 'for', 'international', 'airport', 'city',
+  'centre', 'center', 'convention', 'collection', 'luxury', 'portfolio',
+  'tribute', 'retreat', 'serviced', 'apartments', 'grand', 'road', 'marriott'
+]);
+
+const MAX_WORDS = ['under', 'below', 'less than', 'lower than', 'within', 'up to', 'upto',
+  'max', 'maximum', 'at most', 'no more than', 'not more than', 'cheaper than', '<', '<='];
+const MIN_WORDS = ['over', 'above', 'more than', 'greater than', 'at least', 'min',
+  'minimum', 'starting', 'from', '>', '>='];
+
+const escapeRe = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Word-boundary match that still works for phrases starting or ending with
+// "&", "-" or accented letters, where \b does not.
+function phraseRegex(phrase) {
+  return new RegExp(`(^|[^a-z0-9\\u00c0-\\u024f])${escapeRe(phrase)}(?=$|[^a-z0-9\\u00c0-\\u024f])`);
+}
+
+const tokenize = s => s.toLowerCase().split(/[^a-z0-9À-ɏ]+/).filter(Boolean);
+
+/**
+ * Build the lookup tables the parser needs from normalised hotel records.
+ * Keys of every map are lower-case phrases; values are what ends up in the
+ * filter.
+ */
+export function buildVocabulary(records, cityAliases = {}, countryNames = {}) {
+  const brands = new Map();
+  const cities = new Map();
+  const states = new Map();
+  const countries = new Map(Object.entries(countryNames));
+
+  for (const { Brand, City, State, Country } of records) {
+    if (Brand) {
+      const full = Brand.toLowerCase();
+      // Single-letter brands ("W") would match far too much free text.
+      if (full.length > 1 && !brands.has(full)) brands.set(full, Brand);
+      // "Aloft Hotels" → "aloft", "Fairfield Inn & Suites" → "fairfield"
+      const short = full.replace(/\s+(hotels?(\s*&\s*resorts)?|inn\s*&\s*suites|by\s+\S+)$/, '');
+      if (short !== full && short.length > 1 && !brands.has(short)) {
+        brands.set(short, Brand.slice(0, short.length));
+      }
+    }
+    if (City && !cities.has(City.toLowerCase())) cities.set(City.toLowerCase(), City);
+    if (State && !states.has(State.toLowerCase())) states.set(State.toLowerCase(), State);
+    if (Country && !countries.has(Country.toLowerCase())) countries.set(Country.toLowerCase(), Country);
+  }
+  for (const [alias, canonical] of Object.entries(cityAliases)) {
+    cities.set(alias, canonical);
+  }
+
+  // Distinctive hotel-name words: not generic, and not already a brand, city,
+  // state or country word (those are handled by their own keys).
+  const reserved = new Set([...brands.keys(), ...cities.keys(), ...states.keys(), ...countries.keys()].flatMap(tokenize));
+  const hotelWords = new Set();
+  for (const { Hotel } of records) {
+    for (const tok of tokenize(Hotel || '')) {
+      if (tok.length > 2 && !/^\d+$/.test(tok) && !GENERIC_WORDS.has(tok) && !reserved.has(tok)) {
+        hotelWords.add(tok);
+      }
+    }
+  }
+
+  return { brands, cities, states, countries, hotelWords };
+}
+
+const NEGATION_RE = /(?:^|[^a-z])(?:not|except|excluding|exclude|without|other than|no)\s*(?:in\s+)?$/;
+
+// Find every phrase from `table` present in `text`, longest first. Each match
+// is blanked out so it can't be matched again (e.g. "marriott" inside "jw
+// marriott"). Phrases preceded by "not", "except", ... are returned separately.
+function takeAll(text, table) {
+  const keys = [...table.keys()].sort((a, b) => b.length - a.length);
+  const found = [];
+  for (const key of keys) {
+    const re = phraseRegex(key);
+    let m;
+    while ((m = re.exec(text))) {
+      const start = m.index + m[1].length;
+      found.push({ start, value: table.get(key), negated: NEGATION_RE.test(text.slice(0, start)) });
+      text = text.slice(0, start) + ' '.repeat(key.length) + text.slice(start + key.length);
+    }
+  }
+  found.sort((a, b) => a.start - b.start);
+  const unique = list => [...new Set(list)];
+  return {
+    values: unique(found.filter(f => !f.negated).map(f => f.value)),
+    excluded: unique(found.filter(f => f.negated).map(f => f.value)),
+    rest: text
+  };
+}
+
+const oneOrMany = list => (list.length === 1 ? list[0] : list);
+
+const endsWithAny = words => new RegExp(`(?:^|[^a-z])(?:${words.map(escapeRe).join('|')})\\s*$`);
+const MAX_RE = endsWithAny(MAX_WORDS);
+const MIN_RE = endsWithAny(MIN_WORDS);
+
+function comparatorBefore(text) {
+  if (MAX_RE.test(text)) return 'max';
+  if (MIN_RE.test(text)) return 'min';
+  return null;
+}
+
+const toPoints = (num, k) => Number(num) * (k ? 1000 : 1);
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+const COUNT = `(\\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+
+// "₹0.6", "0.6 per point", "point value above 0.6"
+const PT_VALUE_RE = /(?:₹|rs\.?|inr)\s*$/;
+const PER_POINT_RE = /^\s*(?:₹|rs\.?|inr)?\s*(?:per|\/|a)\s*(?:point|pt)\b/;
+const FIVE_NIGHTS_RE = /\b(?:5|five)[\s-]*nights?\b/;
+const NIGHTS_RE = new RegExp(`\\b${COUNT}[\\s-]*nights?\\b`);
+const PER_NIGHT_RE = /\b(?:per|a|\/|each)\s*night\b/;
+
+/**
+ * Parse numeric constraints. Distances need an explicit km unit and drive
+ * times a minutes/hours unit; point values below 1000 are treated as something
+ * else ("for 5 nights") and skipped, the same rule applied to LLM output.
+ * A points budget in a sentence about "5 nights" (and not "per night") is read
+ * as a 5-night total; any "N nights" also sets the stay length `nights`.
+ */
+function parseNumbers(text) {
+  const filter = {};
+  const fiveNightBudget = FIVE_NIGHTS_RE.test(text) && !PER_NIGHT_RE.test(text);
+  // "for 3 nights" is a stay length: results then carry the cost of the stay.
+  const stay = NIGHTS_RE.exec(text);
+  if (stay) {
+    const nights = NUMBER_WORDS[stay[1]] || Number(stay[1]);
+    if (nights >= 1 && nights <= 60) filter.nights = nights;
+    text = text.replace(NIGHTS_RE, m => ' '.repeat(m.length));
+  }
+  const maxPtsKey = fiveNightBudget ? 'maxPts5Nights' : 'maxPtsNight';
+
+  const range = /between\s+(\d+(?:\.\d+)?)\s*(k\b)?\s*(?:and|to|-)\s*(\d+(?:\.\d+)?)\s*(k\b)?(?!\s*(?:km|kms|kilomet|min|hour|hr))/.exec(text);
+  if (range) {
+    const lo = toPoints(range[1], range[2] || range[4]);
+    const hi = toPoints(range[3], range[4]);
+    if (lo >= 1000) filter.minPtsNight = lo;
+    if (hi >= 1000) filter.maxPtsNight = hi;
+    text = text.slice(0, range.index) + ' '.repeat(range[0].length) + text.slice(range.index + range[0].length);
+  }
+
+  const numRe = /(\d+(?:\.\d+)?)\s*(km\b|kms\b|kilomet(?:er|re)s?\b|min(?:ute)?s?\b|h(?:ou)?rs?\b|hours?\b|k\b)?/g;
+  let m;
+  while ((m = numRe.exec(text))) {
+    const before = text.slice(0, m.index);
+    const cmp = comparatorBefore(before.replace(PT_VALUE_RE, ''));
+    const unit = m[2] || '';
+    const value = Number(m[1]);
+    if (/^(km|kilomet)/.test(unit)) {
+      if (cmp !== 'min') filter.maxDistanceKm = value;
+      continue;
+    }
+    if (/^(min|h)/.test(unit)) {
+      if (cmp !== 'min') filter.maxDriveMinutes = unit.startsWith('h') ? value * 60 : value;
+      continue;
+    }
+    if (!unit && value < 10 && (PT_VALUE_RE.test(before) || PER_POINT_RE.test(text.slice(numRe.lastIndex)) || /\bvalue\b/.test(before))) {
+      if (cmp === 'min') filter.minPtValue = value;
+      else if (cmp === 'max') filter.maxPtValue = value;
+      continue;
+    }
+    const pts = toPoints(m[1], unit);
+    if (pts < 1000 || !cmp) continue;
+    if (cmp === 'max') filter[maxPtsKey] = pts;
+    else filter.minPtsNight = pts;
+  }
+  return filter;
+}
+
+// Superlatives → [field, order, default limit]. Checked in order, so the
+// drive-time variants win over plain "closest".
+const RANK_PATTERNS = [
+  [/\b(?:closest|nearest|shortest|quickest)\b.*\bdrive\b|\bshortest drive\b/, 'DriveMinutesFromAirport', 'asc', 5],
+  [/\b(?:nearest|closest)\b/, 'DistanceKmFromAirport', 'asc', 5],
+  [/\b(?:farthest|furthest)\b/, 'DistanceKmFromAirport', 'desc', 5],
+  [/\b(?:most expensive|priciest|costliest|highest points?|dearest)\b/, 'AvgPtsNight', 'desc', 1],
+  [/\b(?:cheapest|lowest|least expensive)\b/, 'AvgPtsNight', 'asc', 1],
+  [/\b(?:best|highest|top) (?:point |redemption )?value\b|\bbest value for (?:my )?points\b/, 'PointValue', 'desc', 5]
+];
+
+/**
+ * Detect "cheapest", "top 3 most expensive", "closest by drive time",
+ * "cheapest per brand" and similar into a rank object (see lib/rank.js).
+ */
+function parseRank(text) {
+  const pattern = RANK_PATTERNS.find(([re]) => re.test(text));
+  if (!pattern) return undefined;
+  const [, by, order, defaultLimit] = pattern;
+  const rank = { by, order, limit: defaultLimit };
+
+  // "top 3 ...", "3 cheapest", "five closest"
+  const count = new RegExp(`\\b(?:top|best|first)\\s+${COUNT}\\b|\\b${COUNT}\\s+(?:cheapest|nearest|closest|most|priciest|farthest|lowest)\\b`).exec(text);
+  if (count) {
+    const n = count[1] || count[2];
+    rank.limit = NUMBER_WORDS[n] || Number(n);
+  }
+
+  const group = /\b(?:per|each|every|by|in each|for each)\s+(brand|city|state|country)\b/.exec(text);
+  if (group) rank.groupBy = group[1];
+  return rank;
+}
+
+// "near baga beach", "within 20 km of hitec city", "closest marriott to the
+// gateway of india": [radius, place phrase]. The phrase ends at punctuation
+// or a word that starts another constraint.
+const PLACE = `(?:the\\s+)?([a-z0-9][a-z0-9 .'-]*?)(?=\\s*(?:$|[,;?!]|\\s(?:under|below|with|within|for|and|or|not|in|less|cheaper|over|above|at)\\b))`;
+const NEAR_RE = new RegExp(`\\b(?:within\\s+(\\d+(?:\\.\\d+)?)\\s*(?:km|kms|kilomet(?:er|re)s?)\\s+(?:of|from)|near(?:by)?|close to|around)\\s+${PLACE}`);
+const NEAREST_TO_RE = new RegExp(`\\b(?:closest|nearest)\\b.*?\\bto\\s+${PLACE}`);
+
+/**
+ * Find a `near` place in the text using the gazetteer (lib/places.js).
+ * Airports are left to the airport distance columns, and a bare city ("near
+ * pune") to the city filter; a landmark, or a city with a radius, is a place.
+ * Returns { near, rest } with the phrase blanked, or null.
+ */
+function parseNear(text, places) {
+  const within = NEAR_RE.exec(text);
+  const m = within || NEAREST_TO_RE.exec(text);
+  if (!m) return null;
+  const radius = within?.[1];
+  const place = places.lookup(m[m.length - 1]);
+  if (!place || place.kind === 'airport' || (place.kind === 'city' && !radius)) return null;
+  const near = { place: place.name };
+  if (radius) near.radiusKm = Number(radius);
+  const start = m.index;
+  return { near, rest: text.slice(0, start) + ' '.repeat(m[0].length) + text.slice(start + m[0].length) };
+}
+
+// "j w marriott" → "jw marriott": runs of single letters that spell a word of
+// a brand are joined up.
+function joinLetters(text, brands) {
+  const words = new Set([...brands.keys()].flatMap(tokenize));
+  return text.replace(/\b[a-z](?: [a-z]\b)+/g, run => {
+    const joined = run.replace(/ /g, '');
+    return words.has(joined) ? joined : run;
+  });
+}
+
+// "in <place>" left over once every known name is blanked out. The phrase
+// must end the sentence or be followed by punctuation or a constraint word,
+// and not touch a blanked (known) name – "in south goa" with "goa" known is
+// not an unknown place "south".
+const UNKNOWN_PLACE_RE = /(?:^|[^a-z])(?:in|at)\s+((?:the\s+)?[a-z][a-z.'-]*(?: [a-z][a-z.'-]*)*?)(?= ?(?:$|[,;?!]| (?:under|below|with|within|for|and|or|not|less|cheaper|over|above|near)\b))/;
+
+// "in points", "in march": words after "in" that are not places.
+const NOT_PLACES = new Set([
+  'points', 'point', 'pts', 'total', 'cash', 'rupees', 'value', 'budget', 'advance', 'person', 'general', 'particular',
+  'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'
+]);
+
+function unknownPlace(text) {
+  const m = UNKNOWN_PLACE_RE.exec(text);
+  if (!m) return null;
+  const place = m[1].replace(/^the\s+/, '');
+  const words = tokenize(place);
+  if (NOT_PLACES.has(words[0]) || words.every(tok => GENERIC_WORDS.has(tok))) return null;
+  const start = m.index + m[0].length - m[1].length;
+  return { place, rest: text.slice(0, start) + ' '.repeat(m[1].length) + text.slice(start + m[1].length) };
+}
+
+/**
+ * Convert a natural-language query into a filter object without any network
+ * access. `vocab` comes from buildVocabulary(); with a gazetteer (`places`,
+ * lib/places.js) "near <place>" phrases become a `near` filter.
+ */
+export function parseQueryLocally(query, vocab, places = null) {
+  let text = joinLetters(` ${String(query).toLowerCase().replace(/(\d),(?=\d{3}\b)/g, '$1')} `, vocab.brands);
+  const filter = {};
+
+  const rank = parseRank(text);
+  if (rank) filter.rank = rank;
+
+  const near = places && parseNear(text, places);
+  if (near) {
+    filter.near = near.near;
+    text = near.rest;
+    // "closest" now means closest to the place
+    if (rank?.by === 'DistanceKmFromAirport') rank.by = 'DistanceKm';
+  }
+
+  // Multi-valued keys: "goa or kerala" → ["Goa", "Kerala"], "not courtyard"
+  // → excludeBrand.
+  for (const [key, excludeKey, table] of [
+    ['brand', 'excludeBrand', vocab.brands],
+    ['city', 'excludeCity', vocab.cities],
+    ['state', 'excludeState', vocab.states],
+    ['country', 'excludeCountry', vocab.countries]
+  ]) {
+    const { values, excluded, rest } = takeAll(text, table);
+    if (values.length) filter[key] = oneOrMany(values);
+    if (excluded.length) filter[excludeKey] = oneOrMany(excluded);
+    text = rest;
+  }
+
+  if (!filter.city && !filter.state && !filter.country && !filter.near) {
+    const unknown = unknownPlace(text);
+    if (unknown) {
+      filter.city = unknown.place;
+      text = unknown.rest;
+    }
+  }
+
+  Object.assign(filter, parseNumbers(text));
+
+  // Digits never make it into hotelWords, so numbers are skipped here.
+  const hotelTokens = tokenize(text).filter(tok => vocab.hotelWords.has(tok));
+  if (hotelTokens.length) filter.hotel = hotelTokens.join(' ');
+
+  return filter;
+}
+
+// "any price", "no distance limit", "forget the brand": the words after
+// remove-like verbs → the filter keys they clear.
+const REMOVE_RE = /\b(?:remove|drop|clear|forget|ignore|any|no|without)\s+(?:the\s+|a\s+)?([a-z]+)/g;
+const PRICE_KEYS = ['minPtsNight', 'maxPtsNight', 'maxPts5Nights'];
+const DISTANCE_KEYS = ['maxDistanceKm', 'maxDriveMinutes'];
+const REMOVABLE = {
+  price: PRICE_KEYS,
+  points: PRICE_KEYS,
+  budget: PRICE_KEYS,
+  distance: DISTANCE_KEYS,
+  airport: DISTANCE_KEYS,
+  drive: ['maxDriveMinutes'],
+  city: ['city'],
+  brand: ['brand'],
+  state: ['state'],
+  country: ['country'],
+  location: ['city', 'state', 'country', 'near', 'bounds'],
+  area: ['bounds'],
+  nights: ['nights'],
+  ranking: ['rank'],
+  sorting: ['rank'],
+  value: ['minPtValue', 'maxPtValue'],
+  exclusions: ['excludeCity', 'excludeBrand', 'excludeState', 'excludeCountry']
+};
+// "also mumbai", "pune too", "or kerala": list values are added, not swapped.
+const ADD_RE = /\b(?:also|too|as well|plus|and|or)\b/;
+const RESET_RE = /^\s*(?:new search|start over|reset)\b/;
+
+/**
+ * The change a follow-up sentence makes to the current filter, as a delta
+ * (lib/session.js): keys the sentence names are set (list keys added to with
+ * "also" / "too"), "any price" and the like remove keys, and "new search" or
+ * "start over" resets.
+ */
+export function parseFollowUpLocally(query, vocab, places = null) {
+  const text = ` ${String(query).toLowerCase()} `;
+  const parsed = parseQueryLocally(query, vocab, places);
+  const delta = {};
+  if (RESET_RE.test(text)) delta.reset = true;
+
+  const remove = new Set();
+  for (const [, word] of text.matchAll(REMOVE_RE)) {
+    for (const key of REMOVABLE[word] || []) remove.add(key);
+  }
+  if (remove.size) delta.remove = [...remove];
+
+  const adding = !delta.reset && ADD_RE.test(text);
+  for (const [key, value] of Object.entries(parsed)) {
+    const target = adding && ['city', 'brand', 'state', 'country', 'excludeCity', 'excludeBrand', 'excludeState', 'excludeCountry'].includes(key) ? 'add' : 'set';
+    delta[target] = { ...delta[target], [key]: value };
+  }
+  return delta;
+}
+
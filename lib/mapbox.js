@@ -0,0 +1,79 @@
+/*
+  lib/mapbox.js
+  -------------
+  Mapbox Geocoding + Directions for the data pipeline's geo step: where a
+  hotel is, and how far it is to drive to an airport.
+
+  Results are cached in `cacheDir` (.cache/geocode.json & .cache/route.json)
+  to avoid hitting the API repeatedly while developing – the free tier allows
+  100k requests a month, enough for a few hundred hotels. The geocode cache
+  is also read offline (no token), so earlier lookups keep their accuracy.
+*/
+
+import fs from 'fs';
+import path from 'path';
+import { haversineKm, estimateDriveMinutes } from './geo.js';
+
+export function createMapbox({ token = '', cacheDir = '.cache' } = {}) {
+  const geocodeCachePath = path.join(cacheDir, 'geocode.json');
+  const routeCachePath = path.join(cacheDir, 'route.json');
+  const read = file => (fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {});
+  const geocodeCache = read(geocodeCachePath);
+  const routeCache = read(routeCachePath);
+  // Older runs keyed hotels by an undefined name ("undefined, Pune, India"),
+  // which geocoded to the city centre; drop those so hotels get re-geocoded.
+  for (const key of Object.keys(geocodeCache)) {
+    if (key.startsWith('undefined, ')) delete geocodeCache[key];
+  }
+
+  return {
+    online: Boolean(token),
+
+    /** Cached { lat, lon, precision } of `place`, or undefined. */
+    cached(place) {
+      return geocodeCache[place];
+    },
+
+    async geocode(place) {
+      if (geocodeCache[place]) return geocodeCache[place];
+      const url = `https://api.mapbox.com/geocoding/v5/mapbox.places/${encodeURIComponent(place)}.json?limit=1&access_token=${token}`;
+      const res = await fetch(url);
+      if (!res.ok) throw new Error(`Geocode failed for ${place}: ${res.status}`);
+      const json = await res.json();
+      const feature = json.features[0];
+      if (!feature) throw new Error(`No geocode result for ${place}`);
+      const [lon, lat] = feature.center;
+      // A hotel that isn't found comes back as its town or region.
+      const precision = feature.place_type?.some(t => t === 'poi' || t === 'address') ? 'hotel' : 'city';
+      geocodeCache[place] = { lat, lon, precision };
+      return geocodeCache[place];
+    },
+
+    /** Driving { distanceKm, durationMin } between two points. */
+    async route(from, to) {
+      const key = `${from.lat},${from.lon}-${to.lat},${to.lon}`;
+      if (routeCache[key]) return routeCache[key];
+      const url = `https://api.mapbox.com/directions/v5/mapbox/driving/${from.lon},${from.lat};${to.lon},${to.lat}?overview=false&access_token=${token}`;
+      const res = await fetch(url);
+      if (!res.ok) throw new Error(`Route failed: ${res.status}`);
+      const json = await res.json();
+      let routeData = json.routes && json.routes[0];
+      if (!routeData) {
+        // Fallback to the straight-line distance and an estimated drive
+        const straightKm = haversineKm(from, to);
+        routeData = { distance: straightKm * 1000, duration: estimateDriveMinutes(straightKm) * 60 };
+      }
+      routeCache[key] = {
+        distanceKm: routeData.distance / 1000,
+        durationMin: routeData.duration / 60
+      };
+      return routeCache[key];
+    },
+
+    save() {
+      fs.mkdirSync(cacheDir, { recursive: true });
+      fs.writeFileSync(geocodeCachePath, JSON.stringify(geocodeCache, null, 2));
+      fs.writeFileSync(routeCachePath, JSON.stringify(routeCache, null, 2));
+    }
+  };
+}
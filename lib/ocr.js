@@ -0,0 +1,223 @@
+/*
+  lib/ocr.js
+  ----------
+  Screenshot ingestion for `npm run ingest` (ingest.js): local OCR of the
+  Marriott redemption tables with tesseract.js, and parsing of the recognised
+  lines back into rows of
+
+    Brand | Hotel | City | AvgPtValue | AvgPtsNight | AvgPts5Nights
+
+  A table line ends in three numbers (₹ per point, points per night, points
+  for 5 nights); the text before them is split into brand, hotel and city by
+  the brands and cities already known. Anything the parser had to guess, or
+  that tesseract read with low confidence, is flagged so the row goes to
+  manual review instead of into the dataset.
+*/
+
+import fs from 'fs';
+import path from 'path';
+import { createWorker } from 'tesseract.js';
+import { parseNumber, slugify } from './columns.js';
+import { normaliseRows, columnsOf } from './pipeline.js';
+import { FIVE_NIGHT_MULTIPLIER } from './validate.js';
+
+export const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp', '.bmp', '.tif', '.tiff'];
+
+// Cells with a character read at a lower confidence (0–100) are flagged.
+export const DEFAULT_MIN_CONFIDENCE = 80;
+
+export const OCR_COLUMNS = ['Brand', 'Hotel', 'City', 'AvgPtValue', 'AvgPtsNight', 'AvgPts5Nights'];
+export const REVIEW_COLUMNS = ['Image', 'Line', 'Flags', ...OCR_COLUMNS, 'Text'];
+
+// Brands as the tables spell them, on top of those already in the CSV.
+export const KNOWN_BRANDS = [
+  'Aloft Hotels', 'Autograph Collection', 'Courtyard', 'Fairfield', 'Fairfield Inn & Suites',
+  'Four Points', 'Four Points by Sheraton', 'JW Marriott', 'Le Meridien', 'Marriott',
+  'Marriott Executive Apartments', 'Marriott Hotels & Resorts', 'MOXY Hotels', 'Renaissance Hotels',
+  'Residence Inn', 'Ritz-Carlton', 'Sheraton', 'St Regis', 'The Luxury Collection',
+  'Tribute Portfolio', 'W', 'Westin'
+];
+
+// Image files of `dir` (or `dir` itself when it is one), sorted by name.
+export function listImages(dir) {
+  if (fs.statSync(dir).isFile()) return [dir];
+  return fs.readdirSync(dir)
+    .filter(f => IMAGE_EXTENSIONS.includes(path.extname(f).toLowerCase()))
+    .sort()
+    .map(f => path.join(dir, f));
+}
+
+/**
+ * A tesseract.js worker: recognize(image) resolves to the image's lines as
+ * [{ text, confidence, words: [{ text, confidence }] }]. The language data is
+ * downloaded once and cached in `cachePath`; `langPath` is a directory (or
+ * URL) with <lang>.traineddata.gz to use instead of the CDN. Call
+ * terminate() when done.
+ */
+export async function createOcr({ lang = 'eng', langPath, cachePath = '.cache' } = {}) {
+  fs.mkdirSync(cachePath, { recursive: true });
+  const worker = await createWorker(lang, 1, { cachePath, ...(langPath && { langPath }) });
+  return {
+    async recognize(image) {
+      const { data } = await worker.recognize(image);
+      return data.lines.map(line => ({
+        text: line.text.trim(),
+        confidence: line.confidence,
+        // A word's confidence is that of its least certain character: the
+        // word score also counts glyphs tesseract dropped, like the ₹ in
+        // "₹1.11", which would flag every point value.
+        words: line.words.map(w => ({
+          text: w.text,
+          confidence: w.symbols?.length ? Math.min(...w.symbols.map(s => s.confidence)) : w.confidence
+        }))
+      }));
+    },
+    terminate: () => worker.terminate()
+  };
+}
+
+// "₹1.11", "Rs1.11", or the rupee sign misread as "%", "=" or "Z".
+const PT_VALUE = /^(?:₹|rs\.?|%|=|z)?(\d+[.,]\d{1,2})$/i;
+// "31000", "31,000", "1,24,000" – and "31.000", a comma read as a dot.
+const POINTS = /^\d{1,3}(?:[,.]\d{2})*[,.]\d{3}$|^\d{3,7}$/;
+// Words that are only a currency sign or a table rule.
+const NOISE = /^(?:₹|rs\.?|\|)$/i;
+
+const parsePoints = text => (POINTS.test(text) ? Number(text.replace(/[,.]/g, '')) : NaN);
+
+// The longest of `names` the word list starts (or ends) with, as [name, word count].
+function matchWords(words, names, { fromEnd = false } = {}) {
+  let best = null;
+  for (const name of names) {
+    const n = name.split(/\s+/).length;
+    if (n >= words.length) continue; // leave at least a word for the hotel
+    const part = fromEnd ? words.slice(-n) : words.slice(0, n);
+    if (slugify(part.map(w => w.text).join(' ')) === slugify(name) && (!best || n > best[1])) best = [name, n];
+  }
+  return best;
+}
+
+/**
+ * Parse one OCR line into a row. Returns null for lines that aren't table
+ * rows (titles, headers), { row, flags, text } otherwise; `flags` lists the
+ * cells to check by hand, e.g. "City: not a known city".
+ */
+export function parseTableLine(line, { brands = KNOWN_BRANDS, cities = [], minConfidence = DEFAULT_MIN_CONFIDENCE } = {}) {
+  const words = line.words.filter(w => w.text.trim() && !NOISE.test(w.text));
+  const text = line.text ?? words.map(w => w.text).join(' ');
+  const tail = words.slice(-3);
+  const looksNumeric = tail.length === 3 && PT_VALUE.test(tail[0].text) && POINTS.test(tail[1].text) && POINTS.test(tail[2].text);
+  if (!looksNumeric) {
+    // A line with a points-like number that still didn't parse is a row the
+    // OCR mangled; one without is a heading.
+    return words.some(w => parsePoints(w.text) >= 1000)
+      ? { row: null, flags: ['not a table row – check the screenshot'], text }
+      : null;
+  }
+
+  const flags = [];
+  const cells = {};
+  const confidence = {};
+  const set = (field, part, value) => {
+    cells[field] = value;
+    confidence[field] = Math.min(...part.map(w => w.confidence));
+  };
+
+  set('AvgPtValue', [tail[0]], `₹${tail[0].text.match(PT_VALUE)[1].replace(',', '.')}`);
+  set('AvgPtsNight', [tail[1]], String(parsePoints(tail[1].text)));
+  set('AvgPts5Nights', [tail[2]], String(parsePoints(tail[2].text)));
+
+  let rest = words.slice(0, -3);
+  const brand = matchWords(rest, brands);
+  if (brand) {
+    set('Brand', rest.slice(0, brand[1]), brand[0]);
+    rest = rest.slice(brand[1]);
+  } else {
+    set('Brand', rest.slice(0, 1), rest[0]?.text ?? '');
+    rest = rest.slice(1);
+    flags.push('Brand: not a known brand');
+  }
+  const city = matchWords(rest, cities, { fromEnd: true });
+  if (city) {
+    set('City', rest.slice(-city[1]), city[0]);
+    rest = rest.slice(0, -city[1]);
+  } else {
+    set('City', rest.slice(-1), rest.at(-1)?.text ?? '');
+    rest = rest.slice(0, -1);
+    flags.push('City: not a known city');
+  }
+  if (rest.length) set('Hotel', rest, rest.map(w => w.text).join(' '));
+  else {
+    cells.Hotel = '';
+    flags.push('Hotel: empty');
+  }
+
+  for (const field of OCR_COLUMNS) {
+    if (confidence[field] < minConfidence) flags.push(`${field}: read with ${Math.round(confidence[field])}% confidence`);
+  }
+  const night = Number(cells.AvgPtsNight);
+  if (Number(cells.AvgPts5Nights) !== night * FIVE_NIGHT_MULTIPLIER) {
+    flags.push(`AvgPts5Nights: expected ${FIVE_NIGHT_MULTIPLIER} × ${night}`);
+  }
+  const row = Object.fromEntries(OCR_COLUMNS.map(f => [f, cells[f]]));
+  return { row, flags, text };
+}
+
+/**
+ * Parse the OCR lines of every image: { rows, review }. Rows with flags go
+ * to `review` (one REVIEW_COLUMNS row each) rather than `rows`.
+ */
+export function parseScreenshots(images, options) {
+  const rows = [];
+  const review = [];
+  for (const { image, lines } of images) {
+    lines.forEach((line, i) => {
+      const parsed = parseTableLine(line, options);
+      if (!parsed) return;
+      if (parsed.row && !parsed.flags.length) {
+        rows.push(parsed.row);
+        return;
+      }
+      review.push({ Image: image, Line: String(i + 1), Flags: parsed.flags.join('; '), ...(parsed.row || {}), Text: parsed.text });
+    });
+  }
+  return { rows, review };
+}
+
+/**
+ * Merge OCR rows into the rows of an existing CSV, both through the header
+ * normalisation the loader uses. A hotel already there – same name in the
+ * same city, as the validator tells rows apart – gets its points updated and
+ * keeps its other columns; a new one is appended. Returns
+ * { rows, columns, added, updated }.
+ */
+export function mergeRows(existing, incoming) {
+  const base = normaliseRows(existing).rows;
+  const { rows: fresh } = normaliseRows(incoming);
+  const keyOf = r => `${slugify(r.Hotel)}|${slugify(r.City ?? '')}`;
+  const byKey = new Map(base.map(r => [keyOf(r), r]));
+  let added = 0;
+  let updated = 0;
+  for (const row of fresh) {
+    const current = byKey.get(keyOf(row));
+    if (!current) {
+      const entry = Object.fromEntries(OCR_COLUMNS.map(f => [f, row[f] ?? '']));
+      base.push(entry);
+      byKey.set(keyOf(entry), entry);
+      added++;
+      continue;
+    }
+    let changed = false;
+    for (const field of ['AvgPtValue', 'AvgPtsNight', 'AvgPts5Nights']) {
+      if (!row[field] || parseNumber(row[field]) === parseNumber(current[field])) continue;
+      current[field] = row[field];
+      changed = true;
+    }
+    if (changed) updated++;
+  }
+  const columns = columnsOf(base);
+  for (const row of base) {
+    for (const field of columns) row[field] ??= '';
+  }
+  return { rows: base, columns, added, updated };
+}
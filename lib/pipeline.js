@@ -0,0 +1,236 @@
+/*
+  lib/pipeline.js
+  ---------------
+  The steps of `npm run pipeline` (pipeline.js), which turns a hotel CSV into
+  a servable dataset:
+
+    import → normalise → enrich (state, geo) → validate → publish
+
+  Rows stay raw CSV rows (strings) throughout, so the output is a CSV in the
+  canonical column layout. Nothing here touches the source file: each run
+  writes a new numbered version (<versionsDir>/<name>-v<N>.csv), and
+  publishing copies a version to the served data/<name>.csv.
+*/
+
+import fs from 'fs';
+import path from 'path';
+import { parse } from 'csv-parse/sync';
+import { stringify } from 'csv-stringify/sync';
+import pLimit from 'p-limit';
+import { HEADER_ALIASES, rawField, parseNumber } from './columns.js';
+import { nearestAirport, estimateDriveMinutes, cityCentre } from './geo.js';
+import { countries as defaultCountries, DEFAULT_COUNTRY } from './countries.js';
+
+// Output column order; any other columns follow in their source order.
+export const CANONICAL_COLUMNS = [
+  'Brand', 'Hotel', 'City', 'State', 'Country', 'AvgPtValue', 'Currency', 'AvgPtsNight', 'AvgPts5Nights',
+  'DistanceKmFromAirport', 'DriveMinutesFromAirport', 'Lat', 'Lon', 'GeoPrecision', 'AirportCode'
+];
+
+export function readCsv(file) {
+  return parse(fs.readFileSync(file, 'utf8'), { columns: true, skip_empty_lines: true });
+}
+
+export function toCsv(rows, columns) {
+  return stringify(rows, { header: true, columns });
+}
+
+/**
+ * Rename header variants to the canonical names (lib/columns.js) and trim
+ * every cell. Returns { rows, columns, renamed: [[from, to]] }.
+ */
+export function normaliseRows(rows) {
+  const source = rows.length ? Object.keys(rows[0]) : [];
+  const canonical = new Map(); // source header → canonical name
+  for (const header of source) {
+    const field = Object.keys(HEADER_ALIASES).find(f => HEADER_ALIASES[f].includes(header)) || header;
+    // The first spelling of a field wins; later duplicates are dropped.
+    if (![...canonical.values()].includes(field)) canonical.set(header, field);
+  }
+  const out = rows.map(row => Object.fromEntries([...canonical].map(([header, field]) => [field, String(row[header] ?? '').trim()])));
+  return { rows: out, columns: columnsOf(out), renamed: [...canonical].filter(([h, f]) => h !== f) };
+}
+
+/** Columns of `rows` in output order: canonical ones first, then the rest. */
+export function columnsOf(rows) {
+  const present = new Set(rows.flatMap(r => Object.keys(r)));
+  return [...CANONICAL_COLUMNS.filter(c => present.has(c)), ...[...present].filter(c => !CANONICAL_COLUMNS.includes(c))];
+}
+
+/**
+ * The state (region) of a city name in its country – by default the country
+ * whose city table (data/countries/) has it – or null.
+ */
+export function stateOf(city, country = defaultCountries.ofCity(city), countries = defaultCountries) {
+  return countries.regionOf(city, country);
+}
+
+/**
+ * Fill empty Country cells (from the city, else `defaultCountry`) and empty
+ * State cells from the city in that country – all State cells with
+ * `recompute`. Returns { filled, countriesFilled, unmapped: [city] } –
+ * unmapped cities keep their State.
+ */
+export function enrichStates(rows, { recompute = false, countries = defaultCountries, defaultCountry = DEFAULT_COUNTRY } = {}) {
+  let filled = 0;
+  let countriesFilled = 0;
+  const unmapped = new Set();
+  for (const row of rows) {
+    const country = countries.resolve({ country: row.Country, city: row.City }, defaultCountry);
+    if (!row.Country && country) {
+      row.Country = country.name;
+      countriesFilled++;
+    }
+    row.Country ??= '';
+    const state = countries.regionOf(row.City, country);
+    if (!state) {
+      unmapped.add(row.City);
+      row.State ??= '';
+      continue;
+    }
+    if (row.State && !recompute) continue;
+    if (row.State !== state) filled++;
+    row.State = state;
+  }
+  return { filled, countriesFilled, unmapped: [...unmapped].sort() };
+}
+
+/**
+ * Coordinates, nearest airport and airport distance for every row. A hotel is
+ * placed by its Lat/Lon, else a (cached) geocode of its name via `mapbox`
+ * (lib/mapbox.js), else offline at its city centre. `GeoPrecision` records
+ * which: 'hotel' for the hotel's own position, 'city' for its city centre –
+ * such rows (and coordinates that are exactly the city centre) are geocoded
+ * again whenever a geocode is available. Distances are straight lines
+ * offline and driving routes online; a row keeps a plausible distance (and
+ * drive time) unless `recompute`, but not when the row had coordinates
+ * that differ from its new point, or an AirportCode other than its new
+ * nearest airport – such a distance is re-measured. A row without previous
+ * coordinates or AirportCode keeps its distance.
+ * Returns { placed, routed, approximate: [hotel], unplaced: [hotel] }.
+ */
+export async function enrichGeo(rows, { mapbox, recompute = false, log = () => {} } = {}) {
+  const limit = pLimit(5); // concurrent Mapbox requests
+  const stats = { placed: 0, routed: 0, approximate: [], unplaced: [] };
+  const same = (a, b) => Math.abs(a - b) < 1e-5;
+
+  async function position(row) {
+    const lat = parseNumber(row.Lat);
+    const lon = parseNumber(row.Lon);
+    const centre = cityCentre(row.City);
+    let given = null;
+    if (Number.isFinite(lat) && Number.isFinite(lon)) {
+      const atCentre = centre && same(lat, centre.lat) && same(lon, centre.lon);
+      given = { lat, lon, precision: row.GeoPrecision || (atCentre ? 'city' : 'hotel') };
+      if (given.precision !== 'city') return given;
+    }
+    const place = `${row.Hotel}, ${row.City}, ${row.Country || defaultCountries.resolve({ city: row.City }).name}`;
+    try {
+      const found = mapbox?.cached(place) ?? (mapbox?.online ? await limit(() => mapbox.geocode(place)) : null);
+      if (found) return { precision: 'hotel', ...found };
+    } catch (err) {
+      log(`⚠ ${row.Hotel}: ${err.message}`);
+    }
+    return given ?? (centre && { ...centre, precision: 'city' });
+  }
+
+  for (const row of rows) {
+    const point = await position(row);
+    if (!point) {
+      stats.unplaced.push(row.Hotel);
+      for (const c of ['Lat', 'Lon', 'GeoPrecision', 'AirportCode', 'DistanceKmFromAirport', 'DriveMinutesFromAirport']) row[c] ??= '';
+      continue;
+    }
+    stats.placed++;
+    if (point.precision === 'city') stats.approximate.push(row.Hotel);
+    const { airport, km } = nearestAirport(point);
+    const [lat, lon] = [parseNumber(row.Lat), parseNumber(row.Lon)];
+    const moved = Number.isFinite(lat) && Number.isFinite(lon) && !(same(lat, point.lat) && same(lon, point.lon));
+    const unchanged = !moved && (!row.AirportCode || row.AirportCode === airport.code);
+    row.Lat = point.lat.toFixed(5);
+    row.Lon = point.lon.toFixed(5);
+    row.GeoPrecision = point.precision;
+    row.AirportCode = airport.code;
+
+    const dist = parseNumber(row.DistanceKmFromAirport);
+    if (!recompute && unchanged && dist > 0 && dist < 200) {
+      row.DriveMinutesFromAirport ??= '';
+      continue; // looks sane, keep it
+    }
+    try {
+      const { distanceKm, durationMin } = mapbox?.online
+        ? await limit(() => mapbox.route(point, airport))
+        : { distanceKm: km, durationMin: estimateDriveMinutes(km) };
+      row.DistanceKmFromAirport = distanceKm.toFixed(1);
+      row.DriveMinutesFromAirport = String(Math.round(durationMin));
+      stats.routed++;
+    } catch (err) {
+      log(`⚠ ${row.Hotel}: ${err.message}`);
+      row.DistanceKmFromAirport = '';
+      row.DriveMinutesFromAirport = '';
+    }
+  }
+  return stats;
+}
+
+/**
+ * Cell changes between two row lists of the same hotels (same order):
+ * [{ line, hotel, field, from, to }], line numbers as in the CSV.
+ */
+export function diffRows(before, after) {
+  const changes = [];
+  after.forEach((row, i) => {
+    const old = before[i] || {};
+    for (const field of Object.keys(row)) {
+      const from = old[field] ?? '';
+      if (String(from) !== String(row[field] ?? '')) {
+        changes.push({ line: i + 2, hotel: rawField(row, 'Hotel') || '', field, from, to: row[field] });
+      }
+    }
+  });
+  return changes;
+}
+
+// <dir>/<name>-v<N>.csv files, oldest first: [{ version, file }].
+export function listVersions(dir, name) {
+  if (!fs.existsSync(dir)) return [];
+  const re = new RegExp(`^${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}-v(\\d+)\\.csv$`);
+  return fs.readdirSync(dir)
+    .map(f => f.match(re))
+    .filter(Boolean)
+    .map(m => ({ version: Number(m[1]), file: path.join(dir, m[0]) }))
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Write `csv` as the next version of `name` in `dir`, with its run report
+ * alongside (<name>-v<N>.json). Returns the CSV path.
+ */
+export function writeVersion(dir, name, csv, report) {
+  const version = (listVersions(dir, name).at(-1)?.version ?? 0) + 1;
+  const file = path.join(dir, `${name}-v${version}.csv`);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(file, csv, { flag: 'wx' }); // never overwrite a version
+  fs.writeFileSync(file.replace(/\.csv$/, '.json'), `${JSON.stringify({ version, ...report }, null, 2)}\n`);
+  return file;
+}
+
+/**
+ * Keep the currently served `target` (data/<name>.csv) as a version unless
+ * its content already is one, so publishing never loses data. Call before
+ * writing the new version. Returns the archived version's path, if any.
+ */
+export function archiveServed(target, { dir, name }) {
+  if (!fs.existsSync(target)) return null;
+  const current = fs.readFileSync(target, 'utf8');
+  if (listVersions(dir, name).some(v => fs.readFileSync(v.file, 'utf8') === current)) return null;
+  return writeVersion(dir, name, current, { source: target, archived: true, createdAt: new Date().toISOString() });
+}
+
+/** Serve `versionFile` as `target`. */
+export function publishVersion(versionFile, target) {
+  // Write-then-rename so the server's watcher never loads half a file.
+  const tmp = `${target}.tmp`;
+  fs.copyFileSync(versionFile, tmp);
+  fs.renameSync(tmp, target);
+}
@@ -0,0 +1,109 @@
+/*
+  lib/places.js
+  -------------
+  The gazetteer behind the `near` filter: named places with coordinates, so
+  "within 20 km of Baga beach" or "closest to HITEC City" can be measured
+  against each hotel's Lat/Lon (written by the pipeline's geo step).
+
+  Airports and city centres come from lib/geo.js; landmarks from a JSON file
+  (data/places.json, PLACES_FILE) listing { name, aliases?, city?, lat, lon }.
+*/
+
+import fs from 'fs';
+import { AIRPORTS, CITY_CENTRES, haversineKm } from './geo.js';
+import { normalizeName, editDistance } from './fuzzy.js';
+
+const titleCase = s => s.replace(/\b[a-z]/g, c => c.toUpperCase());
+
+/**
+ * Read a gazetteer file. A missing file is an empty list; a malformed one
+ * throws, naming the first bad entry.
+ */
+export function loadPlaces(file) {
+  if (!file || !fs.existsSync(file)) return [];
+  const places = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(places)) throw new Error(`${file}: expected an array of places`);
+  places.forEach((p, i) => {
+    if (!p || typeof p.name !== 'string' || !(Math.abs(p.lat) <= 90) || !(Math.abs(p.lon) <= 180)) {
+      throw new Error(`${file}: place ${i + 1} needs a name, lat and lon`);
+    }
+  });
+  return places;
+}
+
+/**
+ * Index `places` (landmarks, see loadPlaces) together with the bundled
+ * airports and city centres. Landmarks win over built-in names they repeat.
+ */
+export function createGazetteer(places = []) {
+  const entries = [
+    ...places.map(p => ({ kind: 'landmark', name: p.name, aliases: p.aliases || [], city: p.city, lat: p.lat, lon: p.lon })),
+    ...AIRPORTS.map(a => ({ kind: 'airport', name: `${a.city} Airport`, aliases: [a.code, a.name], city: a.city, code: a.code, lat: a.lat, lon: a.lon })),
+    ...Object.entries(CITY_CENTRES).map(([city, p]) => ({ kind: 'city', name: titleCase(city), aliases: [], city: titleCase(city), ...p }))
+  ];
+  const byName = new Map(); // normalised name or alias → entry; first one wins
+  for (const entry of entries) {
+    for (const name of [entry.name, ...entry.aliases]) {
+      const key = normalizeName(name);
+      if (key && !byName.has(key)) byName.set(key, entry);
+    }
+  }
+  // Longest first, so "navi mumbai" is found before "mumbai"
+  const keys = [...byName.keys()].sort((a, b) => b.length - a.length);
+
+  return {
+    size: entries.length,
+
+    /**
+     * The place called `name`, or the longest known place named inside it
+     * ("Hyderabad HITEC City" → HITEC City). Null when nothing matches.
+     */
+    lookup(name) {
+      const q = normalizeName(name);
+      if (!q) return null;
+      if (byName.has(q)) return byName.get(q);
+      const key = keys.find(k => ` ${q} `.includes(` ${k} `));
+      return key ? byName.get(key) : null;
+    },
+
+    /** Up to `n` place names that look like `name`, for "did you mean". */
+    suggest(name, n = 3) {
+      const q = normalizeName(name);
+      const seen = new Set();
+      return keys
+        .map(k => ({ entry: byName.get(k), sim: 1 - editDistance(q, k) / Math.max(q.length, k.length, 1) }))
+        .filter(c => c.sim >= 0.5)
+        .sort((a, b) => b.sim - a.sim)
+        .map(c => c.entry.name)
+        .filter(place => !seen.has(place) && seen.add(place))
+        .slice(0, n);
+    }
+  };
+}
+
+/**
+ * Give `filter.near` coordinates: a `place` known to the gazetteer is looked
+ * up (its name and lat/lon replace what the client sent); otherwise the
+ * given lat/lon are used as they are, with `place` as a label. Returns a new
+ * filter; throws a 422 error with suggestions for an unknown place.
+ */
+export function resolveNear(filter, gazetteer) {
+  const { near } = filter;
+  if (!near) return filter;
+  const found = near.place ? gazetteer.lookup(near.place) : null;
+  if (found) {
+    return { ...filter, near: { ...near, place: found.name, lat: found.lat, lon: found.lon } };
+  }
+  if (Number.isFinite(near.lat) && Number.isFinite(near.lon)) return filter;
+
+  const err = new Error(near.place ? `unknown place "${near.place}"` : 'near needs a place or lat and lon');
+  err.status = 422;
+  err.details = near.place ? [{ field: 'near', value: near.place, didYouMean: gazetteer.suggest(near.place) }] : [];
+  throw err;
+}
+
+/** Straight-line km from `point` to a record, 1 decimal; null without coordinates. */
+export function distanceFrom(point, record) {
+  if (!Number.isFinite(record.Lat) || !Number.isFinite(record.Lon)) return null;
+  return Math.round(haversineKm(point, { lat: record.Lat, lon: record.Lon }) * 10) / 10;
+}
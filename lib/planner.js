@@ -0,0 +1,114 @@
+/*
+  lib/planner.js
+  --------------
+  Points cost of stays and multi-stop itineraries.
+
+  Marriott's 5th-night-free benefit means every full block of 5 award nights
+  costs `AvgPts5Nights` (4 × the nightly rate); leftover nights
+  are paid at `AvgPtsNight`. The point value (lib/value.js) turns points into
+  the cash value they represent, in the hotel's currency; an itinerary's
+  total is in ₹.
+*/
+
+import { FIVE_NIGHT_MULTIPLIER } from './validate.js';
+import { countries } from './countries.js';
+
+// Plan request body, validated with Ajv in lib/app.js (POST /plan).
+export const planSchema = {
+  type: 'object',
+  properties: {
+    stops: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 20,
+      items: {
+        type: 'object',
+        properties: {
+          hotel: { type: 'string', minLength: 1 },
+          city: { type: 'string', minLength: 1 },
+          nights: { type: 'integer', minimum: 1, maximum: 60 }
+        },
+        required: ['nights'],
+        anyOf: [{ required: ['hotel'] }, { required: ['city'] }],
+        additionalProperties: false
+      }
+    },
+    alternatives: { type: 'integer', minimum: 0, maximum: 10 },
+    dataset: { type: 'string' }
+  },
+  required: ['stops'],
+  additionalProperties: false
+};
+
+/**
+ * Points for `nights` nights at one hotel, applying the 5th-night-free rule.
+ * Returns null when the hotel has no nightly price.
+ */
+export function stayCost(record, nights) {
+  const nightly = record.AvgPtsNight;
+  if (nightly == null) return null;
+  const blocks = Math.floor(nights / 5);
+  const blockPts = record.AvgPts5Nights ?? nightly * FIVE_NIGHT_MULTIPLIER;
+  const points = blocks * blockPts + (nights % 5) * nightly;
+  const pointValue = record.PointValue ?? record.AvgPtValue;
+  return {
+    nights,
+    freeNights: blocks,
+    points,
+    // what the same nights would cost without the benefit
+    savedPoints: nightly * nights - points,
+    cashValue: pointValue != null ? Math.round(points * pointValue) : null
+  };
+}
+
+const summary = r => ({ Id: r.Id, Hotel: r.Hotel, Brand: r.Brand, City: r.City, Currency: r.Currency, AvgPtsNight: r.AvgPtsNight, AvgPtValue: r.AvgPtValue, PointValue: r.PointValue, ValueRating: r.ValueRating });
+
+/**
+ * Cost an itinerary. `resolve(stop)` returns the record for a stop (or
+ * `{ error, suggestions }`); `sameCity(record)` returns the other hotels in
+ * its city. Up to `alternatives` cheaper same-city hotels are suggested per
+ * stop. Throws an error with `.stops` listing unresolved stops.
+ */
+export function planTrip(stops, { resolve, sameCity, alternatives = 3 }) {
+  const unresolved = [];
+  const planned = stops.map((stop, index) => {
+    const record = resolve(stop);
+    if (!record || record.error) {
+      unresolved.push({ index, stop, error: record?.error || 'no matching hotel', suggestions: record?.suggestions || [] });
+      return null;
+    }
+    const cost = stayCost(record, stop.nights);
+    if (!cost) {
+      unresolved.push({ index, stop, error: `${record.Hotel} has no points price` });
+      return null;
+    }
+    const cheaper = sameCity(record)
+      .filter(r => r.Id !== record.Id && r.AvgPtsNight != null && r.AvgPtsNight < record.AvgPtsNight)
+      .sort((a, b) => a.AvgPtsNight - b.AvgPtsNight)
+      .slice(0, alternatives)
+      .map(r => {
+        const alt = stayCost(r, stop.nights);
+        return { ...summary(r), points: alt.points, cashValue: alt.cashValue, savesPoints: cost.points - alt.points };
+      });
+    return { input: stop, hotel: summary(record), ...cost, alternatives: cheaper };
+  });
+
+  if (unresolved.length) {
+    const err = new Error(`could not resolve ${unresolved.length} stop(s)`);
+    err.stops = unresolved;
+    throw err;
+  }
+
+  const sum = key => planned.reduce((t, s) => t + (s[key] ?? 0), 0);
+  // Each stop's cash value is in its hotel's currency.
+  const rupees = planned.reduce((t, s) => t + countries.inRupees(s.cashValue, s.hotel.Currency), 0);
+  return {
+    stops: planned,
+    totalNights: sum('nights'),
+    freeNights: sum('freeNights'),
+    totalPoints: sum('points'),
+    savedPoints: sum('savedPoints'),
+    // in ₹; null when any stop lacks a point value – a partial sum would mislead
+    totalCashValue: planned.every(s => s.cashValue != null) ? Math.round(rupees) : null
+  };
+}
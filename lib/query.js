@@ -0,0 +1,107 @@
+/*
+  lib/query.js
+  ------------
+  Sentence → filter: the LLM prompt and the PARSER_MODE logic choosing between
+  the LLM (lib/llm.js) and the offline parser (lib/local_parser.js), followed
+  by the corrections in lib/corrections.js. Follow-up sentences in a session
+  go through the same choice but produce a delta (lib/session.js).
+*/
+
+import { parseQueryLocally, parseFollowUpLocally } from './local_parser.js';
+import { createFilterParser } from './llm.js';
+import { filterSchema, validateFilter } from './filter.js';
+import { correctFilter } from './corrections.js';
+import { deltaSchema, validateDelta } from './session.js';
+
+// PARSER_MODE selects who turns the sentence into a filter:
+//   llm                     – LLM only (503 when unavailable)
+//   local                   – rule-based parser only, never calls the LLM
+//   llm-with-local-fallback – LLM, falling back to the local parser (default)
+export const PARSER_MODES = ['llm', 'local', 'llm-with-local-fallback'];
+
+// The filter keys as described to the model, shared by both prompts.
+const FILTER_KEYS = `  • city  (string or array of strings – case insensitive exact match; use an array for \"Pune or Mumbai\")\n  • brand (string or array – case insensitive exact or partial match)\n  • state (string or array – case insensitive exact or partial match; \"Goa or Kerala\" → [\"Goa\", \"Kerala\"])\n  • country (string or array – country name, e.g. \"in Thailand\" → \"Thailand\", \"UAE\" → \"United Arab Emirates\"; only when the user names a country)\n  • hotel (string – case insensitive substring to match within the hotel name)\n  • excludeCity, excludeBrand, excludeState, excludeCountry (string or array – values the user rules out, e.g. \"not Courtyard\" → excludeBrand: \"Courtyard\")\n  • maxPtsNight (number – assume numbers refer to points, not nights)\n  • minPtsNight (number – assume numbers refer to points, not nights)\n  • maxPts5Nights (number – total points budget for a 5 night stay, e.g. \"under 150k for 5 nights\")\n  • minPtValue, maxPtValue (number – value per point in rupees, whatever the hotel's currency, e.g. \"point value above 0.6\")\n  • maxDistanceKm (number – maximum distance from airport in kilometres)\n  • maxDriveMinutes (number – maximum drive time from airport in minutes; \"1 hour\" → 60)\n  • rank (object – only for superlatives such as cheapest / nearest / top N): { by, order, limit, groupBy }\n      by: one of AvgPtsNight, AvgPts5Nights, PointValue (value per point – \"best value redemption\" → {\"by\":\"PointValue\",\"order\":\"desc\",\"limit\":5}), DistanceKmFromAirport, DriveMinutesFromAirport, DistanceKm (distance from the near place)\n      order: \"asc\" or \"desc\"; limit: integer; groupBy: \"brand\", \"city\", \"state\" or \"country\" (\"per brand\")\n      e.g. \"cheapest\" → {\"by\":\"AvgPtsNight\",\"order\":\"asc\",\"limit\":1}, \"top 3 most expensive\" → {\"by\":\"AvgPtsNight\",\"order\":\"desc\",\"limit\":3}, \"closest by drive time\" → {\"by\":\"DriveMinutesFromAirport\",\"order\":\"asc\",\"limit\":5}\n      When ranking by distance do NOT also set maxDistanceKm unless the user gives a number.\n  • nights (integer – length of stay, e.g. \"for 5 nights\" → 5; the stay's points cost is computed from it. A number of nights is never a points filter.)\n  • near (object – a landmark or neighbourhood the user wants to be close to: { place, radiusKm }; \"within 20 km of Baga beach\" → {\"place\":\"Baga Beach\",\"radiusKm\":20}, \"closest to HITEC City\" → near {\"place\":\"HITEC City\"} with rank by DistanceKm. Not for airports – use the airport distance keys – and not for a plain city, use city.)\n`;
+
+export const systemPrompt = `Convert the user's sentence into a JSON object used to filter a hotel list. Allowed keys:\n${FILTER_KEYS}Return ONLY valid JSON with these keys (omit keys that don't apply). Do NOT wrap in code fences.`;
+
+// Follow-ups in a session (lib/session.js) are answered with a change to the
+// current filter, which is sent along as a second system message.
+export const followUpPrompt = `The user is refining a hotel search. The current filter is given as JSON; turn the user's follow-up sentence into a JSON change object with these keys:\n  • set    (object – filter keys to add or replace, e.g. \"now only under 20k\" → {\"set\":{\"maxPtsNight\":20000}}, \"what about Pune instead?\" → {\"set\":{\"city\":\"Pune\"}})\n  • add    (object – extra values for city, brand, state, country or the exclude keys, e.g. \"also Mumbai\" → {\"add\":{\"city\":\"Mumbai\"}})\n  • remove (array of filter keys to drop, e.g. \"any price\" → {\"remove\":[\"maxPtsNight\",\"minPtsNight\",\"maxPts5Nights\"]})\n  • reset  (true only when the sentence is a new search unrelated to the current one; put the whole new filter in set)\nFilter keys:\n${FILTER_KEYS}Return ONLY valid JSON with these keys (omit keys that don't apply). Do NOT wrap in code fences.`;
+
+// What went wrong with the LLM when the local parser stood in, for the search
+// log (lib/analytics.js): 422 – it kept answering with an invalid filter,
+// 503 – no usable answer at all.
+const llmErrorOf = err => ({
+  status: err.status || 503,
+  message: err.message,
+  ...(err.details?.length && { details: err.details })
+});
+
+// Run the LLM or the local parser as PARSER_MODE says: { value, parser,
+// notice?, llmError? }. An exhausted daily budget degrades to the local
+// parser in every mode; other LLM failures only outside `llm` mode, and are
+// returned as `llmError` unless no LLM is configured.
+async function parseWithMode(mode, provider, llm, local) {
+  if (mode === 'local') return { value: local(), parser: 'local' };
+  try {
+    return { value: await llm(), parser: 'llm' };
+  } catch (err) {
+    if (mode === 'llm' && err.code !== 'LLM_BUDGET') throw err;
+    if (err.code === 'LLM_BUDGET') {
+      return { value: local(), parser: 'local', notice: 'Daily LLM budget used up – interpreted by the offline parser' };
+    }
+    if (!provider.available) return { value: local(), parser: 'local' };
+    console.warn(`⚠ LLM parse failed (${err.message}) – using local parser`);
+    return { value: local(), parser: 'local', llmError: llmErrorOf(err) };
+  }
+}
+
+/**
+ * Returns `queryToFilter(query, ds)` → { filter, parser, corrections } using
+ * the vocabulary of dataset `ds`. `provider` is an LLM provider (lib/llm.js);
+ * LLM results are kept in `cache` (lib/cache.js) if one is given. `cached`,
+ * `notice` (why the LLM was skipped) and `llmError` (how it failed before the
+ * local parser answered) are added when they apply. `places`
+ * (lib/places.js) lets the local parser recognise "near <place>".
+ */
+export function createQueryParser({ mode = 'llm-with-local-fallback', provider, cache = null, retries = 2, debug = false, places = null }) {
+  // Retries with the Ajv errors when the model's JSON is malformed or doesn't
+  // fit filterSchema.
+  const llmQueryToFilter = createFilterParser({ provider, systemPrompt, schema: filterSchema, validate: validateFilter, retries });
+
+  return async function queryToFilter(query, ds) {
+    if (mode !== 'local' && cache) {
+      const hit = cache.get(ds, query);
+      if (hit) return { ...structuredClone(hit), cached: true };
+    }
+
+    const { value: filter, parser, notice, llmError } = await parseWithMode(mode, provider,
+      () => llmQueryToFilter(query),
+      () => parseQueryLocally(query, ds.vocabulary, places));
+
+    const corrections = correctFilter(filter, query, ds);
+    if (debug) console.log(`${parser} filter →`, JSON.stringify(filter));
+    const result = { filter, parser, corrections };
+    // Local results are cheap, and a fallback shouldn't outlive the outage.
+    if (parser === 'llm' && cache) cache.set(ds, query, structuredClone(result));
+    return { ...result, ...(notice && { notice }), ...(llmError && { llmError }) };
+  };
+}
+
+/**
+ * Returns `followUp(query, previous, ds)` → { delta, parser, notice?, llmError? }: the
+ * change (lib/session.js) a follow-up sentence makes to the `previous`
+ * filter. Same options as createQueryParser, without the cache – the answer
+ * depends on the conversation.
+ */
+export function createFollowUpParser({ mode = 'llm-with-local-fallback', provider, retries = 2, debug = false, places = null }) {
+  const llmDelta = createFilterParser({ provider, systemPrompt: followUpPrompt, schema: deltaSchema, validate: validateDelta, retries });
+
+  return async function followUp(query, previous, ds) {
+    const { value: delta, parser, notice, llmError } = await parseWithMode(mode, provider,
+      () => llmDelta(query, `Current filter: ${JSON.stringify(previous)}`),
+      () => parseFollowUpLocally(query, ds.vocabulary, places));
+    if (debug) console.log(`${parser} delta →`, JSON.stringify(delta));
+    return { delta, parser, ...(notice && { notice }), ...(llmError && { llmError }) };
+  };
+}
@@ -0,0 +1,72 @@
+/*
+  lib/rank.js
+  -----------
+  The ranking step applied after filtering. A filter may carry
+
+    rank: { by: 'AvgPtsNight', order: 'asc', limit: 3, groupBy: 'brand' }
+
+  meaning "the 3 cheapest per brand". With limit 1 every row tied for first
+  place is kept, so "cheapest" returns all hotels at the minimum price; larger
+  limits are exact counts.
+
+  DistanceKm is only present when the filter has `near` (lib/filter.js);
+  PointValue is AvgPtValue unless a cash rate overrides it (lib/value.js).
+  Both are in the hotel's currency, so they are ranked by their ₹ value
+  (sortValue): ฿0.40 (₹1) is better value than ₹0.60.
+*/
+
+import { countries } from './countries.js';
+
+export const RANK_FIELDS = ['AvgPtsNight', 'AvgPts5Nights', 'AvgPtValue', 'PointValue', 'DistanceKmFromAirport', 'DriveMinutesFromAirport', 'DistanceKm'];
+export const GROUP_FIELDS = { brand: 'Brand', city: 'City', state: 'State', country: 'Country' };
+
+// Record fields in the hotel's currency.
+const MONEY_FIELDS = ['AvgPtValue', 'PointValue', 'CashRate', 'StayCashValue'];
+
+/** A record's `field` as ranked and sorted: amounts of money in ₹. */
+export function sortValue(record, field) {
+  return MONEY_FIELDS.includes(field) ? countries.inRupees(record[field], record.Currency) : record[field];
+}
+
+export const rankSchema = {
+  type: 'object',
+  properties: {
+    by: { enum: RANK_FIELDS },
+    order: { enum: ['asc', 'desc'] },
+    limit: { type: 'integer', minimum: 1 },
+    groupBy: { enum: Object.keys(GROUP_FIELDS) }
+  },
+  required: ['by'],
+  additionalProperties: false
+};
+
+/**
+ * Sort `records` by `rank.by` and keep the top `rank.limit` (per group when
+ * `rank.groupBy` is set). Rows without a usable value for the field (0 or NaN
+ * – e.g. no airport distance) are dropped; a DistanceKm of 0 is real (the
+ * hotel is at the place). Safe on an empty list.
+ */
+export function rankRecords(records, rank) {
+  if (!rank) return records;
+  const { by, order = 'asc', limit, groupBy } = rank;
+  const dir = order === 'desc' ? -1 : 1;
+  const value = r => sortValue(r, by);
+  const sorted = records
+    .filter(r => value(r) > 0 || (by === 'DistanceKm' && r[by] === 0))
+    .sort((a, b) => (value(a) - value(b)) * dir);
+  if (!limit) return sorted;
+
+  const groupField = groupBy && GROUP_FIELDS[groupBy];
+  const groups = new Map(); // group key → { kept, last }
+  return sorted.filter(r => {
+    const key = groupField ? String(r[groupField]).toLowerCase() : '';
+    const g = groups.get(key) || { kept: 0, last: undefined };
+    groups.set(key, g);
+    if (g.kept < limit || (limit === 1 && value(r) === g.last)) {
+      g.kept++;
+      g.last = value(r);
+      return true;
+    }
+    return false;
+  });
+}
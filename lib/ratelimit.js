@@ -0,0 +1,78 @@
+/*
+  lib/ratelimit.js
+  ----------------
+  Usage limits for the search API:
+
+    createRateLimiter – per-client request limit in a fixed time window,
+                        as Express middleware (429 + Retry-After when hit)
+    createDailyBudget – a counter of LLM calls that resets at UTC midnight;
+                        once spent, callers fall back to the local parser
+
+  Both are in memory, so a restart resets them.
+*/
+
+/**
+ * `max` requests per `windowMs` per client (req.ip unless `keyFor` says
+ * otherwise). `max` 0 disables the limit.
+ */
+export function createRateLimiter({ windowMs = 60 * 1000, max = 30, keyFor = req => req.ip } = {}) {
+  const windows = new Map(); // key → { start, count }
+
+  // Forget idle clients so the map doesn't grow without bound.
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, w] of windows) if (now - w.start >= windowMs) windows.delete(key);
+  }, windowMs);
+  sweep.unref();
+
+  return function rateLimit(req, res, next) {
+    if (!max) return next();
+    const key = keyFor(req);
+    const now = Date.now();
+    let w = windows.get(key);
+    if (!w || now - w.start >= windowMs) {
+      w = { start: now, count: 0 };
+      windows.set(key, w);
+    }
+    w.count++;
+    const resetSec = Math.ceil((w.start + windowMs - now) / 1000);
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - w.count)));
+    res.set('RateLimit-Reset', String(resetSec));
+    if (w.count > max) {
+      res.set('Retry-After', String(resetSec));
+      return res.status(429).json({ error: `rate limit exceeded – ${max} requests per ${windowMs / 1000}s`, retryAfter: resetSec });
+    }
+    next();
+  };
+}
+
+const utcDay = () => new Date().toISOString().slice(0, 10);
+
+/** At most `limit` calls per UTC day; `limit` 0 means unlimited. */
+export function createDailyBudget(limit = 0) {
+  let day = utcDay();
+  let used = 0;
+
+  const roll = () => {
+    if (utcDay() !== day) {
+      day = utcDay();
+      used = 0;
+    }
+  };
+
+  return {
+    /** Count one call; false (and nothing counted) when the budget is spent. */
+    take() {
+      roll();
+      if (limit && used >= limit) return false;
+      used++;
+      return true;
+    },
+
+    status() {
+      roll();
+      return { day, used, limit: limit || null, remaining: limit ? Math.max(0, limit - used) : null };
+    }
+  };
+}
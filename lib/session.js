@@ -0,0 +1,117 @@
+/*
+  lib/session.js
+  --------------
+  Conversational search. A session remembers the filters a user has built
+  step by step: the first sentence gives a filter, each follow-up ("now only
+  under 20k", "what about Pune instead?") a delta applied to the last one.
+
+    delta: { set?, add?, remove?, reset? }
+      set    – filter keys to add or replace
+      add    – extra values for the list keys (city, brand, state, country, exclude*)
+      remove – filter keys to drop
+      reset  – start from an empty filter (a new, unrelated search)
+
+  Each step keeps its delta, so any step can be undone by replaying the
+  others. Sessions live in memory and expire after `ttlMs` without use.
+*/
+
+import crypto from 'crypto';
+import Ajv from 'ajv';
+import { filterSchema, asList, fromList } from './filter.js';
+import { correctFilter } from './corrections.js';
+
+const LIST_KEYS = ['city', 'brand', 'state', 'country', 'excludeCity', 'excludeBrand', 'excludeState', 'excludeCountry'];
+// Setting one of these replaces the others: "Pune instead" drops a state,
+// "what about Thailand?" the Indian city.
+const LOCATION_KEYS = ['city', 'state', 'country', 'near', 'bounds'];
+
+const pick = (props, keys) => Object.fromEntries(keys.map(k => [k, props[k]]));
+
+export const deltaSchema = {
+  type: 'object',
+  properties: {
+    set: filterSchema,
+    add: { type: 'object', properties: pick(filterSchema.properties, LIST_KEYS), additionalProperties: false },
+    remove: { type: 'array', items: { enum: Object.keys(filterSchema.properties) } },
+    reset: { type: 'boolean' }
+  },
+  additionalProperties: false
+};
+export const validateDelta = new Ajv().compile(deltaSchema);
+
+export const isEmptyDelta = ({ set = {}, add = {}, remove = [], reset = false }) =>
+  !reset && !remove.length && !Object.keys(set).length && !Object.keys(add).length;
+
+/** The filter after `delta`; `filter` itself is left unchanged. */
+export function applyDelta(filter, { set = {}, add = {}, remove = [], reset = false }) {
+  const next = reset ? {} : structuredClone(filter);
+  for (const key of remove) delete next[key];
+  if (LOCATION_KEYS.some(k => k in set)) {
+    for (const k of LOCATION_KEYS) if (!(k in set) && !(k in add)) delete next[k];
+  }
+  Object.assign(next, structuredClone(set));
+  for (const [key, value] of Object.entries(add)) {
+    const seen = new Set();
+    const merged = [...asList(next[key]), ...asList(value)].filter(v => {
+      const k = String(v).toLowerCase();
+      return !seen.has(k) && seen.add(k);
+    });
+    next[key] = fromList(merged);
+  }
+  return next;
+}
+
+/**
+ * Recompute every step's filter (and corrections) from the deltas, e.g.
+ * after one was removed. Returns the last filter.
+ */
+export function replay(steps, ds) {
+  let filter = {};
+  for (const step of steps) {
+    filter = applyDelta(filter, step.delta);
+    step.corrections = correctFilter(filter, step.query, ds);
+    step.filter = structuredClone(filter);
+  }
+  return filter;
+}
+
+/** What the client sees of a session. */
+export function describeSession(session) {
+  return {
+    id: session.id,
+    steps: session.steps.map(({ query, parser, delta, filter }) => ({ query, parser, delta, filter }))
+  };
+}
+
+/**
+ * In-memory sessions: { create(), get(id), stats() }. A session is
+ * { id, steps: [{ query, parser, delta, filter, corrections }] }; the oldest
+ * is dropped beyond `maxSessions`.
+ */
+export function createSessionStore({ ttlMs = 30 * 60 * 1000, maxSessions = 1000 } = {}) {
+  const sessions = new Map(); // id → session, least recently used first
+
+  return {
+    create() {
+      const session = { id: crypto.randomUUID(), steps: [], touched: Date.now() };
+      sessions.set(session.id, session);
+      if (sessions.size > maxSessions) sessions.delete(sessions.keys().next().value);
+      return session;
+    },
+
+    /** The session, or null when unknown or expired. */
+    get(id) {
+      const session = sessions.get(id);
+      if (!session) return null;
+      sessions.delete(id);
+      if (Date.now() - session.touched > ttlMs) return null;
+      session.touched = Date.now();
+      sessions.set(id, session);
+      return session;
+    },
+
+    stats() {
+      return { sessions: sessions.size };
+    }
+  };
+}
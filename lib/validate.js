@@ -0,0 +1,114 @@
+/*
+  lib/validate.js
+  ---------------
+  Data-quality checks for a hotel CSV, run by `npm run validate`, by the data
+  pipeline and on every (re)load in the server. Works on the raw parsed rows
+  so that values the loader would silently coerce ("n/a" → 0) are still
+  visible.
+
+  Errors make a row unusable (no points, duplicate hotel); warnings are
+  suspicious but servable (unknown country or state, a point value in another
+  currency than the row's, 5-night total that doesn't match the nightly rate,
+  no airport distance). States are checked against the regions of the row's
+  country (data/countries/).
+*/
+
+import { rawField, parseNumber, slugify } from './columns.js';
+import { countries as defaultCountries, DEFAULT_COUNTRY } from './countries.js';
+
+// Marriott's 5th-night-free benefit: a 5-night stay costs 4 nights of points.
+export const FIVE_NIGHT_MULTIPLIER = 4;
+
+// Required numeric columns; the rest are optional but must be numeric if set.
+const REQUIRED_NUMBERS = ['AvgPtsNight', 'AvgPts5Nights'];
+const OPTIONAL_NUMBERS = ['AvgPtValue', 'DistanceKmFromAirport', 'DriveMinutesFromAirport'];
+
+/**
+ * Check raw CSV rows (as parsed with `columns: true`). Row numbers in the
+ * report are CSV line numbers, counting the header as line 1.
+ */
+export function validateRows(rows, { file = '', countries = defaultCountries, defaultCountry = DEFAULT_COUNTRY } = {}) {
+  const errors = [];
+  const warnings = [];
+  const seen = new Map(); // slug of hotel + city → line
+
+  rows.forEach((r, i) => {
+    const line = i + 2;
+    const hotel = rawField(r, 'Hotel') || '';
+    const add = (list, field, code, message) => list.push({ line, hotel, field, code, message });
+
+    for (const field of ['Brand', 'Hotel', 'City']) {
+      if (!String(rawField(r, field) ?? '').trim()) add(errors, field, 'missing', `${field} is empty`);
+    }
+
+    const nums = {};
+    for (const field of [...REQUIRED_NUMBERS, ...OPTIONAL_NUMBERS]) {
+      const raw = rawField(r, field);
+      const value = parseNumber(raw);
+      nums[field] = value;
+      const required = REQUIRED_NUMBERS.includes(field);
+      if (value === null) {
+        if (required) add(errors, field, 'missing', `${field} is empty`);
+        else add(warnings, field, 'missing', `${field} is empty`);
+      } else if (Number.isNaN(value)) {
+        add(required ? errors : warnings, field, 'not-numeric', `${field} "${raw}" is not a number`);
+      } else if (required && value <= 0) {
+        add(errors, field, 'not-positive', `${field} is ${value}`);
+      } else if (value < 0) {
+        add(warnings, field, 'negative', `${field} is ${value}`);
+      }
+    }
+
+    // Coordinates are optional (the pipeline's geo step writes them); only
+    // check them when the row has them.
+    for (const [field, max] of [['Lat', 90], ['Lon', 180]]) {
+      const raw = rawField(r, field);
+      const value = parseNumber(raw);
+      if (value === null) continue;
+      if (Number.isNaN(value) || Math.abs(value) > max) {
+        add(warnings, field, 'bad-coordinate', `${field} "${raw}" is not a valid coordinate`);
+      }
+    }
+
+    const { AvgPtsNight: night, AvgPts5Nights: five } = nums;
+    if (night > 0 && five > 0 && five !== night * FIVE_NIGHT_MULTIPLIER) {
+      add(warnings, 'AvgPts5Nights', 'five-night-mismatch',
+        `${five} for 5 nights, expected ${night * FIVE_NIGHT_MULTIPLIER} (${FIVE_NIGHT_MULTIPLIER} × ${night})`);
+    }
+
+    const countryCell = String(rawField(r, 'Country') ?? '').trim();
+    const country = countries.resolve({ country: countryCell, city: rawField(r, 'City') }, defaultCountry);
+    if (!country) add(warnings, 'Country', 'unknown-country', `unknown country "${countryCell}"`);
+
+    const state = String(rawField(r, 'State') ?? '').trim();
+    if (!state) add(warnings, 'State', 'missing', 'State is empty');
+    else if (country && !country.regions.some(s => s.toLowerCase() === state.toLowerCase())) {
+      add(warnings, 'State', 'unknown-state', `unknown state "${state}" in ${country.name}`);
+    }
+
+    const currency = String(rawField(r, 'Currency') ?? '').trim().toUpperCase() || country?.currency.code;
+    const written = countries.currencyIn(rawField(r, 'AvgPtValue'))?.code;
+    if (currency && written && written !== currency) {
+      add(warnings, 'AvgPtValue', 'currency-mismatch', `AvgPtValue is in ${written}, the row's currency is ${currency}`);
+    }
+
+    if (hotel) {
+      const key = `${slugify(hotel)}|${slugify(rawField(r, 'City') || '')}`;
+      if (seen.has(key)) add(errors, 'Hotel', 'duplicate', `duplicate of line ${seen.get(key)}`);
+      else seen.set(key, line);
+    }
+  });
+
+  return { file, rows: rows.length, errors, warnings };
+}
+
+/** Human-readable report, one issue per line. */
+export function formatReport(report) {
+  const lines = [`${report.file || 'dataset'}: ${report.rows} rows, ${report.errors.length} error(s), ${report.warnings.length} warning(s)`];
+  for (const [label, list] of [['error', report.errors], ['warning', report.warnings]]) {
+    for (const issue of list) {
+      lines.push(`  ${label.padEnd(7)} line ${String(issue.line).padStart(4)}  ${issue.field.padEnd(23)} ${issue.message}${issue.hotel ? `  (${issue.hotel})` : ''}`);
+    }
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,80 @@
+/*
+  lib/value.js
+  ------------
+  Is a redemption worth it? A hotel's point value is what one point buys
+  there in rupees: the cash rate for a night divided by the points for the
+  same night. The sheet's `AvgPtValue` is used unless a local cash-rate CSV
+  (CASH_RATES_FILE) has a rate for the hotel:
+
+    Hotel,CashRate
+    JW Marriott Hotel Pune,14500
+
+  `Hotel` is the hotel's name or Id, `CashRate` per night in the hotel's
+  currency. Below `poorBelow` ₹ / point a redemption is poor – paying cash
+  and keeping the points is the better deal – and from `goodFrom` up it is
+  good. Point values in other currencies are rated at their currency's rate
+  to the rupee (lib/countries.js).
+*/
+
+import fs from 'fs';
+import { parse } from 'csv-parse/sync';
+import { parseNumber, slugify } from './columns.js';
+import { countries as defaultCountries } from './countries.js';
+
+export const DEFAULT_POOR_BELOW = 0.5;
+export const DEFAULT_GOOD_FROM = 0.7;
+
+const CASH_RATE_HEADERS = ['CashRate', 'Cash Rate', 'Rate'];
+
+/**
+ * Read a cash-rate CSV into a Map of hotel slug → cash rate per night. A missing
+ * file is an empty map; a row without a hotel or a positive rate throws,
+ * naming its line.
+ */
+export function loadCashRates(file) {
+  const rates = new Map();
+  if (!file || !fs.existsSync(file)) return rates;
+  const rows = parse(fs.readFileSync(file, 'utf8'), { columns: true, skip_empty_lines: true, trim: true });
+  rows.forEach((row, i) => {
+    const hotel = row.Hotel || row.Id;
+    const rate = parseNumber(CASH_RATE_HEADERS.map(h => row[h]).find(v => v !== undefined && v !== ''));
+    if (!hotel || !(rate > 0)) throw new Error(`${file}: line ${i + 2} needs a Hotel and a CashRate above 0`);
+    rates.set(slugify(hotel), rate);
+  });
+  return rates;
+}
+
+/**
+ * Scores records against the cash rates: { thresholds, cashRates, score(record) }.
+ * score() gives the value fields of a record (which must have its Id):
+ * { CashRate, PointValue, PointValueSource: 'cash rate' | 'sheet', ValueRating:
+ * 'good' | 'fair' | 'poor' }, null where there is nothing to go on.
+ */
+export function createValueScorer({ cashRates = new Map(), poorBelow = DEFAULT_POOR_BELOW, goodFrom = DEFAULT_GOOD_FROM, countries = defaultCountries } = {}) {
+  const rating = inr => (inr == null ? null : inr < poorBelow ? 'poor' : inr >= goodFrom ? 'good' : 'fair');
+  // ₹ per unit of a record's currency (1 for unknown currencies).
+  const rateOf = code => countries.currency(code)?.rate ?? 1;
+  // Two decimals in rupee terms: 0.xx ₹, but 0.xxxx AED.
+  const round = (value, rate) => {
+    const factor = 10 ** (2 + Math.max(0, Math.ceil(Math.log10(rate))));
+    return Math.round(value * factor) / factor;
+  };
+
+  return {
+    thresholds: { poorBelow, goodFrom },
+    cashRates: cashRates.size,
+
+    score(record) {
+      const cashRate = cashRates.get(record.Id) ?? cashRates.get(slugify(record.Hotel)) ?? null;
+      const fromCash = cashRate != null && record.AvgPtsNight > 0;
+      const rate = rateOf(record.Currency);
+      const value = fromCash ? round(cashRate / record.AvgPtsNight, rate) : record.AvgPtValue;
+      return {
+        CashRate: cashRate,
+        PointValue: value ?? null,
+        PointValueSource: fromCash ? 'cash rate' : value != null ? 'sheet' : null,
+        ValueRating: rating(value == null ? null : value * rate)
+      };
+    }
+  };
+}
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/**
+ * pipeline.js
+ * -----------
+ * Turns a hotel CSV into a servable dataset:
+ *
+ *   import → normalise → enrich (state, geo) → validate → publish
+ *
+ *   • normalise – canonical column names ("Hotel Name" → Hotel, …), trimmed cells
+ *   • state     – Country and State from the city (data/countries/); cities
+ *                 with no known state are listed
+ *   • geo       – Lat, Lon, AirportCode and the airport distance / drive time.
+ *                 With MAPBOX_TOKEN hotels are geocoded and routed by road
+ *                 (cached in .cache/); offline they are placed at their city
+ *                 centre with straight-line distances. GeoPrecision says
+ *                 which ('hotel' or 'city').
+ *   • validate  – the checks of `npm run validate`; errors stop the run
+ *                 unless --force
+ *   • publish   – every run writes a new version, data/versions/<name>-v<N>.csv
+ *                 with a .json report; --publish also serves it as data/<name>.csv
+ *
+ * The source file is never modified.
+ *
+ * Usage:
+ *   npm run pipeline                                   # data/hotels.csv → data/versions/hotels-v<N>.csv
+ *   npm run pipeline -- incoming/june.csv --name hotels --publish
+ *   npm run pipeline -- --dry-run                      # show what would change, write nothing
+ *   npm run pipeline -- --offline                      # don't call Mapbox even with a token
+ *   npm run pipeline -- --recompute                    # also redo states and distances already set
+ *   npm run pipeline -- --skip geo                     # skip steps (state, geo)
+ */
+import fs from 'fs';
+import path from 'path';
+import { validateRows, formatReport } from './lib/validate.js';
+import { createMapbox } from './lib/mapbox.js';
+import {
+  readCsv, toCsv, normaliseRows, columnsOf, enrichStates, enrichGeo, diffRows,
+  writeVersion, archiveServed, publishVersion
+} from './lib/pipeline.js';
+
+// Tiny argv parser: positional args plus --flag / --flag value.
+const BOOLEAN_FLAGS = ['dry-run', 'offline', 'recompute', 'force', 'publish'];
+const positional = [];
+const flags = {};
+const argv = process.argv.slice(2);
+for (let i = 0; i < argv.length; i++) {
+  if (argv[i].startsWith('--')) {
+    const key = argv[i].slice(2);
+    flags[key] = !BOOLEAN_FLAGS.includes(key) && argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+  } else {
+    positional.push(argv[i]);
+  }
+}
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+const dataDir = process.env.DATA_DIR || 'data';
+const source = positional[0] || path.join(dataDir, 'hotels.csv');
+if (!fs.existsSync(source)) fail(`${source} not found`);
+const name = flags.name || path.basename(source, '.csv');
+const versionsDir = flags.out || path.join(dataDir, 'versions');
+const skip = new Set(String(flags.skip || '').split(',').filter(Boolean));
+const dryRun = Boolean(flags['dry-run']);
+const recompute = Boolean(flags.recompute);
+
+// import
+const imported = readCsv(source);
+if (!imported.length) fail(`${source}: no rows`);
+console.log(`▸ import     ${imported.length} rows from ${source}`);
+
+// normalise
+const { rows, renamed } = normaliseRows(imported);
+const normalised = rows.map(r => ({ ...r }));
+console.log(`▸ normalise  ${renamed.length ? renamed.map(([from, to]) => `"${from}" → ${to}`).join(', ') : 'columns already canonical'}`);
+
+// enrich: state
+let unmappedCities = [];
+if (!skip.has('state')) {
+  const { filled, countriesFilled, unmapped } = enrichStates(rows, { recompute, defaultCountry: process.env.DEFAULT_COUNTRY });
+  unmappedCities = unmapped;
+  console.log(`▸ state      ${filled} filled${countriesFilled ? `, ${countriesFilled} countr${countriesFilled === 1 ? 'y' : 'ies'} filled` : ''}`);
+  if (unmapped.length) console.warn(`  ⚠ no state mapping for ${unmapped.length} cit${unmapped.length === 1 ? 'y' : 'ies'}: ${unmapped.join(', ')}`);
+}
+
+// enrich: geo
+if (!skip.has('geo')) {
+  const token = flags.offline ? '' : process.env.MAPBOX_TOKEN;
+  if (!token && !flags.offline) console.log('  MAPBOX_TOKEN not set – geo runs offline (straight-line distances).');
+  const mapbox = createMapbox({ token });
+  const { placed, routed, approximate, unplaced } = await enrichGeo(rows, { mapbox, recompute, log: msg => console.warn(`  ${msg}`) });
+  if (!dryRun && mapbox.online) mapbox.save();
+  console.log(`▸ geo        ${placed} placed, ${routed} distance(s) ${mapbox.online ? 'routed' : 'estimated'}`);
+  if (approximate.length) console.warn(`  ⚠ ${approximate.length} placed at their city centre only (GeoPrecision "city")`);
+  if (unplaced.length) console.warn(`  ⚠ no coordinates for: ${unplaced.join(', ')}`);
+}
+
+// validate
+const columns = columnsOf(rows);
+const csv = toCsv(rows, columns);
+const report = validateRows(rows, { file: `${name} (from ${source})` });
+console.log(`▸ validate   ${report.errors.length} error(s), ${report.warnings.length} warning(s)`);
+if (report.errors.length || report.warnings.length) console.log(formatReport(report).split('\n').slice(1).join('\n'));
+
+const changes = diffRows(normalised, rows);
+if (dryRun) {
+  const added = columns.filter(c => !(c in normalised[0]));
+  console.log(`\nDry run – ${changes.length} cell change(s)${added.length ? `, new column(s) ${added.join(', ')}` : ''}; nothing written.`);
+  const shown = changes.slice(0, Number(flags.limit) || 100);
+  for (const c of shown) {
+    console.log(`  line ${String(c.line).padStart(4)}  ${c.field.padEnd(23)} ${JSON.stringify(c.from)} → ${JSON.stringify(c.to)}  (${c.hotel})`);
+  }
+  if (changes.length > shown.length) console.log(`  … and ${changes.length - shown.length} more (--limit N to see them)`);
+  process.exit(report.errors.length ? 1 : 0);
+}
+if (report.errors.length && !flags.force) fail('❌ Validation errors – nothing written (--force to write anyway).');
+
+// publish
+const target = path.join(dataDir, `${name}.csv`);
+if (flags.publish) {
+  const archived = archiveServed(target, { dir: versionsDir, name });
+  if (archived) console.log(`  kept the served ${target} as ${archived}`);
+}
+const version = writeVersion(versionsDir, name, csv, {
+  source,
+  createdAt: new Date().toISOString(),
+  rows: rows.length,
+  renamedColumns: renamed,
+  unmappedCities,
+  changes: changes.length,
+  errors: report.errors.length,
+  warnings: report.warnings.length
+});
+console.log(`▸ publish    wrote ${version}`);
+if (flags.publish) {
+  publishVersion(version, target);
+  console.log(`✔ Serving ${version} as ${target}`);
+} else {
+  console.log(`  (--publish to serve it as ${target})`);
+}
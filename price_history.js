@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * price_history.js
+ * ----------------
+ * Track award prices across successive snapshots of a dataset CSV.
+ *
+ * Usage:
+ *   npm run history -- import [data/hotels.csv] [--label 2025-06]
+ *   npm run history -- snapshots [--dataset hotels]
+ *   npm run history -- show <hotel id | name> [--dataset hotels]
+ *   npm run history -- changes [--from A] [--to B] [--up | --down] [--dataset hotels]
+ *
+ * History lives in data/history/<dataset>.json (HISTORY_DIR to change). The
+ * dataset name is the CSV file name without ".csv".
+ */
+import fs from 'fs';
+import path from 'path';
+import { loadDataset } from './lib/dataset.js';
+import { slugify } from './lib/columns.js';
+import { historyFile, readHistory, writeHistory, importSnapshot, priceChanges } from './lib/history.js';
+
+const historyDir = process.env.HISTORY_DIR || path.join('data', 'history');
+
+// Tiny argv parser: positional args plus --flag / --flag value.
+const [command, ...rest] = process.argv.slice(2);
+const positional = [];
+const flags = {};
+for (let i = 0; i < rest.length; i++) {
+  if (rest[i].startsWith('--')) {
+    const key = rest[i].slice(2);
+    flags[key] = rest[i + 1] && !rest[i + 1].startsWith('--') ? rest[++i] : true;
+  } else {
+    positional.push(rest[i]);
+  }
+}
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+const dataset = flags.dataset || 'hotels';
+
+switch (command) {
+  case 'import': {
+    const csv = positional[0] || path.join('data', `${dataset}.csv`);
+    if (!fs.existsSync(csv)) fail(`${csv} not found`);
+    const ds = loadDataset(csv);
+    const file = historyFile(historyDir, ds.name);
+    const history = readHistory(file);
+    try {
+      const snap = importSnapshot(history, ds, { label: flags.label, source: csv });
+      writeHistory(file, history);
+      console.log(`✔ Imported ${snap.rows} prices from ${csv} as snapshot "${snap.id}" → ${file}`);
+    } catch (err) {
+      fail(`❌ ${err.message}`);
+    }
+    break;
+  }
+
+  case 'snapshots': {
+    const { snapshots } = readHistory(historyFile(historyDir, dataset));
+    if (!snapshots.length) console.log(`No snapshots for dataset "${dataset}" yet.`);
+    for (const s of snapshots) console.log(`${s.id.padEnd(14)} ${s.importedAt}  ${String(s.rows).padStart(4)} rows  ${s.source}`);
+    break;
+  }
+
+  case 'show': {
+    const query = positional.join(' ');
+    if (!query) fail('Usage: show <hotel id | name>');
+    const { hotels } = readHistory(historyFile(historyDir, dataset));
+    // Exact Id, else the first hotel whose Id contains every word of the query
+    const words = slugify(query).split('-');
+    const id = hotels[query] ? query : Object.keys(hotels).find(k => words.every(w => k.includes(w)));
+    if (!id) fail(`No history for "${query}"`);
+    const h = hotels[id];
+    console.log(`${h.Hotel} (${h.City}) – ${id}`);
+    for (const p of h.prices) {
+      console.log(`  ${p.snapshot.padEnd(14)} ${String(p.AvgPtsNight ?? '—').padStart(7)} pts/night  ${String(p.AvgPts5Nights ?? '—').padStart(8)} pts/5 nights`);
+    }
+    break;
+  }
+
+  case 'changes': {
+    const history = readHistory(historyFile(historyDir, dataset));
+    const only = flags.up ? 'up' : flags.down ? 'down' : undefined;
+    try {
+      const { from, to, changes } = priceChanges(history, { from: flags.from, to: flags.to, only });
+      console.log(`${changes.length} price change(s) ${from} → ${to}`);
+      for (const c of changes) {
+        const arrow = c.direction === 'up' ? '▲' : '▼';
+        console.log(`  ${arrow} ${String(c.from).padStart(7)} → ${String(c.to).padStart(7)} (${c.changePct > 0 ? '+' : ''}${c.changePct}%)  ${c.Hotel}, ${c.City}`);
+      }
+    } catch (err) {
+      fail(`❌ ${err.message}`);
+    }
+    break;
+  }
+
+  default:
+    fail('Usage: price_history.js import|snapshots|show|changes (see header of price_history.js)');
+}
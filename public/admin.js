@@ -0,0 +1,121 @@
+// The analytics admin page: GET /admin/analytics rendered as tables. With
+// ADMIN_TOKEN set on the server the token is asked for once and kept for the
+// browser session.
+
+const sinceSelect = document.getElementById('since');
+const statusEl = document.getElementById('status');
+const summaryEl = document.getElementById('summary');
+
+const TOKEN_KEY = 'adminToken';
+
+// Queries are whatever users typed: always inserted as text, never as HTML.
+function cell(text, className = '') {
+  const td = document.createElement('td');
+  td.textContent = text ?? '';
+  if (className) td.className = className;
+  return td;
+}
+
+function fillTable(id, rows, columns) {
+  const tbody = document.querySelector(`#${id} tbody`);
+  tbody.replaceChildren(...rows.map(row => {
+    const tr = document.createElement('tr');
+    tr.append(...columns.map(column => column(row)));
+    return tr;
+  }));
+  if (!rows.length) {
+    const td = cell('Nothing yet', 'text-muted');
+    td.colSpan = document.querySelectorAll(`#${id} th`).length;
+    const tr = document.createElement('tr');
+    tr.appendChild(td);
+    tbody.replaceChildren(tr);
+  }
+}
+
+function detailsCell(value) {
+  const td = document.createElement('td');
+  if (value == null) return td;
+  const pre = document.createElement('pre');
+  pre.className = 'details small';
+  pre.textContent = JSON.stringify(value, null, 1);
+  td.appendChild(pre);
+  return td;
+}
+
+const when = iso => (iso ? new Date(iso).toLocaleString() : '');
+
+function renderSummary(report) {
+  const parsers = Object.entries(report.byParser).map(([parser, n]) => `${parser} ${n}`).join(' · ') || '—';
+  const ms = report.latencyMs.p50 == null ? '—' : `${report.latencyMs.p50} / ${report.latencyMs.p95} ms`;
+  const tiles = [
+    ['Searches', report.searches],
+    ['No results', report.zeroResults],
+    ['Failed', report.failures],
+    ['Latency p50 / p95', ms],
+    ['Parser', parsers]
+  ];
+  summaryEl.replaceChildren(...tiles.map(([label, value]) => {
+    const col = document.createElement('div');
+    col.className = 'col-6 col-md';
+    col.innerHTML = '<div class="bg-white border rounded-3 p-3 h-100"><div class="small text-muted"></div><div class="fs-5 fw-semibold"></div></div>';
+    col.querySelector('.text-muted').textContent = label;
+    col.querySelector('.fw-semibold').textContent = value;
+    return col;
+  }));
+}
+
+async function load() {
+  const params = new URLSearchParams({ limit: 50 });
+  if (sinceSelect.value) params.set('since', new Date(Date.now() - sinceSelect.value * 24 * 60 * 60 * 1000).toISOString());
+  const token = sessionStorage.getItem(TOKEN_KEY);
+  statusEl.textContent = 'Loading…';
+  const res = await fetch(`/admin/analytics?${params}`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+  if (res.status === 401) {
+    const entered = prompt('Admin token');
+    if (!entered) {
+      statusEl.textContent = 'An admin token is required.';
+      return;
+    }
+    sessionStorage.setItem(TOKEN_KEY, entered);
+    return load();
+  }
+  const report = await res.json();
+  if (!res.ok) {
+    statusEl.textContent = report.error || `HTTP ${res.status}`;
+    return;
+  }
+
+  statusEl.textContent = report.since ? `Since ${when(report.since)}` : 'No searches recorded yet.';
+  renderSummary(report);
+  fillTable('topQueries', report.topQueries, [
+    r => cell(r.query, 'query'),
+    r => cell(r.searches),
+    r => cell(r.zeroResults || ''),
+    r => cell(r.failures || ''),
+    r => cell(when(r.lastAt), 'small text-nowrap')
+  ]);
+  fillTable('zeroResults', report.zeroResultQueries, [
+    r => cell(r.query, 'query'),
+    r => cell(r.zeroResults),
+    r => detailsCell(r.filter),
+    r => cell(when(r.lastAt), 'small text-nowrap')
+  ]);
+  fillTable('failures', report.recentFailures, [
+    r => cell(when(r.at), 'small text-nowrap'),
+    // An LLM failure the local parser covered for shows the LLM's status.
+    r => cell(r.llmError ? `${r.status} (LLM ${r.llmError.status})` : r.status),
+    r => cell(r.query || '(edited filter)', 'query'),
+    r => cell(r.parser),
+    r => {
+      const td = detailsCell(r.details ?? r.llmError?.details ?? r.filter);
+      td.prepend(Object.assign(document.createElement('div'), { textContent: r.error ?? r.llmError?.message ?? '' }));
+      return td;
+    }
+  ]);
+}
+
+sinceSelect.addEventListener('change', load);
+document.getElementById('refresh').addEventListener('click', load);
+load().catch(err => {
+  statusEl.textContent = `Could not load analytics: ${err.message}`;
+});
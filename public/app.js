@@ -1,9 +1,61 @@
+import { createMap } from './map.js';
+import { FACET_FIELDS, RANGES, emptyRefinement, isRefined, refine, facetCounts, rangeOf, sortRows, toParams, fromParams } from './facets.js';
+
 const form = document.getElementById('searchForm');
 const queryInput = document.getElementById('query');
 const statusEl = document.getElementById('status');
 const table = document.getElementById('resultTable');
 const tbody = table.querySelector('tbody');
 const cardsContainer = document.getElementById('resultCards');
+const interpretationEl = document.getElementById('interpretation');
+const mapPanel = document.getElementById('mapPanel');
+const facetsEl = document.getElementById('facets');
+const followUpSwitch = document.getElementById('followUp');
+const threadEl = document.getElementById('thread');
+const saveAlertBtn = document.getElementById('saveAlert');
+
+// The last interpreted search, so chips can be removed and the search re-run
+// without parsing the sentence again: { query, filter, edited, notice, rows }.
+let current = null;
+// Facets, ranges and sort applied to current.rows in the browser (facets.js).
+let refinement = emptyRefinement();
+// The conversation in follow-up mode, as the server describes it:
+// { id, steps: [{ query, parser, delta, filter }] }.
+let session = null;
+
+// Highlight the table row and card of the hotel picked on the map.
+function highlight(id) {
+  for (const el of document.querySelectorAll('[data-id].table-active, [data-id].border-primary')) {
+    el.classList.remove('table-active', 'border-primary');
+  }
+  const row = tbody.querySelector(`tr[data-id="${id}"]`);
+  const card = cardsContainer.querySelector(`[data-id="${id}"]`);
+  row?.classList.add('table-active');
+  card?.classList.add('border-primary');
+  (row?.offsetParent ? row : card)?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+// The map is optional: without Leaflet or the config the results are still listed.
+let map = null;
+// ₹ per point thresholds of the value ratings (lib/value.js).
+let valueScale = { poorBelow: 0.5, goodFrom: 0.7 };
+// Currency code → { symbol, rate in ₹ } (data/countries/).
+let currencies = { INR: { symbol: '₹', rate: 1 } };
+try {
+  const [config, airports] = await Promise.all(['/config', '/airports'].map(url => fetch(url).then(res => res.json())));
+  if (config.value) valueScale = config.value;
+  if (config.currencies) currencies = config.currencies;
+  map = createMap(document.getElementById('map'), {
+    tiles: config.map,
+    airports,
+    onSelect: highlight,
+    // Search the visible or boxed area with the current filter.
+    onBounds: bounds => runSearch({ query: current?.query, filter: { ...current?.filter, bounds } }, { fromMap: true, keep: refinement })
+  });
+  document.getElementById('followMap').addEventListener('change', e => map.followMoves(e.target.checked));
+} catch (err) {
+  console.warn('map unavailable', err);
+}
 
 // Pre-selected queries to help users
 const suggestions = [
@@ -18,7 +70,9 @@ const suggestions = [
   'marriott hotels within 10 km of airport in hyderabad',
   'cheapest redemption in delhi within 19 km of airport',
   'jw marriott under 35km from airport in goa',
-  'hotels nearest to bengaluru airport'
+  'hotels nearest to bengaluru airport',
+  'hotels within 20 km of Baga beach',
+  'best value redemption in rajasthan'
 ];
 
 const suggestionsContainer = document.getElementById('suggestions');
@@ -35,57 +89,438 @@ suggestions.forEach(text => {
   suggestionsContainer.appendChild(btn);
 });
 
-form.addEventListener('submit', async (e) => {
+// Missing numbers arrive as null.
+const formatPoints = n => (n == null ? '—' : n.toLocaleString());
+
+// ▲ / ▼ against the previous imported price snapshot, when there is one.
+function trendBadge(row) {
+  if (!row.PriceTrend || row.PriceTrend === 'same') return '';
+  const up = row.PriceTrend === 'up';
+  return ` <span class="small ${up ? 'text-danger' : 'text-success'}" title="was ${formatPoints(row.PreviousPtsNight)} in ${row.PreviousSnapshot}">${up ? '▲' : '▼'}</span>`;
+}
+
+// Point values sort by what they are worth in ₹, whatever the currency.
+const sortValue = (row, field) =>
+  field === 'PointValue' && row.PointValue != null ? row.PointValue * (currencies[row.Currency]?.rate ?? 1) : row[field];
+
+// An amount in the hotel's currency: "₹1.11", "฿2.40".
+function money(row, amount, digits) {
+  const symbol = currencies[row.Currency]?.symbol ?? row.Currency ?? '₹';
+  return `${symbol}${digits == null ? amount.toLocaleString() : amount.toFixed(digits)}`;
+}
+
+// Points (and cash value) of the whole stay when the query named a number of nights.
+function stayNote(row) {
+  if (row.StayPts == null) return '';
+  const cash = row.StayCashValue == null ? '' : ` ≈ ${money(row, row.StayCashValue)}`;
+  const free = row.StayFreeNights ? `, ${row.StayFreeNights} free` : '';
+  return `<div class="small text-muted">${row.StayNights} nights${free}: ${formatPoints(row.StayPts)} pts${cash}</div>`;
+}
+
+const VALUE_BADGES = { good: 'text-bg-success', fair: 'text-bg-light border', poor: 'text-bg-danger' };
+
+// Value per point in the hotel's currency with its rating; a poor one is
+// better paid in cash.
+function valueBadge(row) {
+  if (row.PointValue == null) return '—';
+  const source = row.PointValueSource === 'cash rate' ? `your cash rate ${money(row, row.CashRate)} / night` : 'the sheet';
+  // The thresholds are in rupees.
+  const poorBelow = valueScale.poorBelow / (currencies[row.Currency]?.rate ?? 1);
+  const hint = row.ValueRating === 'poor' ? ` – below ${money(row, poorBelow, 2)} / pt, consider paying cash` : '';
+  return `<span class="badge ${VALUE_BADGES[row.ValueRating]}" title="From ${source}${hint}">${money(row, row.PointValue, 2)}</span>`;
+}
+
+// Distance from the place of a "near …" search.
+function nearNote(row, near) {
+  if (row.DistanceKm == null) return '';
+  return `<div class="small text-muted"><i class="fa-solid fa-location-dot"></i> ${row.DistanceKm.toFixed(1)} km from ${near?.place || 'the point'}</div>`;
+}
+
+form.addEventListener('submit', (e) => {
   e.preventDefault();
   const query = queryInput.value.trim();
   if (!query) return;
+  runSearch({ query, ...inSession() });
+  if (followUpSwitch.checked) queryInput.value = '';
+});
 
+// In follow-up mode a search continues the conversation (or starts one).
+const inSession = () => (followUpSwitch.checked ? { session: session?.id ?? true } : {});
+
+followUpSwitch.addEventListener('change', () => {
+  session = null;
+  renderThread();
+});
+
+// `fromMap`: the search came from moving the map, so don't re-fit it.
+// `keep`: a refinement to apply to the new results instead of starting over.
+// `undo`: drop that step of the conversation instead of searching `body`.
+async function runSearch(body, { fromMap = false, keep = null, undo = null } = {}) {
   statusEl.textContent = 'Thinking…';
   tbody.innerHTML = '';
   cardsContainer.innerHTML = '';
+  interpretationEl.innerHTML = '';
 
   try {
-    const res = await fetch('/search', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ query })
-    });
+    const res = undo == null
+      ? await fetch('/search', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      })
+      : await fetch(`/sessions/${session.id}/steps/${undo}`, { method: 'DELETE' });
     if (!res.ok) {
       const err = await res.json();
-      throw new Error(err.error || 'Server error');
-    }
-    const { count, data } = await res.json();
-    statusEl.textContent = `${count} result${count === 1 ? '' : 's'} found`;
-
-    for (const row of data) {
-      const tr = document.createElement('tr');
-      tr.innerHTML = `
-        <td>${row.Brand}</td>
-        <td>${row.Hotel}</td>
-        <td>${row.City}</td>
-        <td>${row.State}</td>
-        <td>${row.DistanceKmFromAirport ? row.DistanceKmFromAirport.toFixed(1) : ''}</td>
-        <td>${row.AvgPtsNight.toLocaleString()}</td>
-        <td>${row.AvgPts5Nights.toLocaleString()}</td>
-      `;
-      tbody.appendChild(tr);
-
-      // Mobile card
-      const card = document.createElement('div');
-      card.className = 'card mb-3 shadow-sm';
-      card.innerHTML = `
-        <div class="card-body p-3">
-          <h6 class="card-title mb-1">${row.Hotel}</h6>
-          <p class="card-subtitle text-muted mb-2 small">${row.Brand} • ${row.City}, ${row.State}</p>
-          <div class="d-flex justify-content-between small">
-            <span><i class="fa-solid fa-plane"></i> ${row.DistanceKmFromAirport ? row.DistanceKmFromAirport.toFixed(1) + ' km' : '—'}</span>
-            <span><strong>${row.AvgPtsNight.toLocaleString()}</strong> pts / night</span>
-          </div>
-        </div>`;
-      cardsContainer.appendChild(card);
+      // An expired conversation: the next search starts a new one.
+      if (res.status === 404 && session) {
+        session = null;
+        renderThread();
+      }
+      const didYouMean = err.details?.[0]?.didYouMean;
+      throw new Error(`${err.error || 'Server error'}${didYouMean?.length ? ` – did you mean ${didYouMean.join(', ')}?` : ''}`);
     }
+    const { filter, corrections, notice, suggestions = [], data, session: thread } = await res.json();
+    if (thread) session = thread;
+    const last = session?.steps.at(-1);
+    // After a follow-up the sentence alone no longer gives the filter.
+    const edited = Boolean(body?.filter) || Boolean(thread && thread.steps.length > 1);
+    current = { query: undo == null ? body.query : last?.query, filter, edited, notice, rows: data };
+    refinement = keep || emptyRefinement();
+    renderThread();
+    renderInterpretation(filter, corrections);
+    renderSuggestions(suggestions);
+    renderResults({ fit: !fromMap, fromMap });
   } catch (err) {
     console.error(err);
     statusEl.textContent = err.message;
   }
-}); 
\ No newline at end of file
+}
+
+// Draw current.rows as refined and sorted: status line, table, cards, map
+// and facets, then record the view in the URL.
+function renderResults({ fit = true, fromMap = false } = {}) {
+  const { rows: all, filter, notice } = current;
+  const rows = sortRows(refine(all, refinement), refinement.sort, sortValue);
+  const shown = rows.length === all.length
+    ? `${all.length} result${all.length === 1 ? '' : 's'} found`
+    : `${rows.length} of ${all.length} results shown`;
+  const poor = rows.filter(r => r.ValueRating === 'poor').length;
+  const poorNote = poor ? ` · ${poor} poor-value redemption${poor === 1 ? '' : 's'} – consider paying cash` : '';
+  statusEl.textContent = `${shown}${notice ? ` (${notice})` : ''}${poorNote}`;
+  saveAlertBtn.classList.remove('d-none');
+
+  tbody.innerHTML = '';
+  cardsContainer.innerHTML = '';
+  for (const row of rows) {
+    const tr = document.createElement('tr');
+    tr.dataset.id = row.Id;
+    tr.addEventListener('click', () => {
+      highlight(row.Id);
+      map?.select(row.Id);
+    });
+    tr.innerHTML = `
+      <td>${row.Brand}</td>
+      <td>${row.Hotel}${nearNote(row, filter.near)}</td>
+      <td>${row.City}</td>
+      <td>${row.State}</td>
+      <td>${row.Country}</td>
+      <td>${row.DistanceKmFromAirport ? row.DistanceKmFromAirport.toFixed(1) : ''}</td>
+      <td>${formatPoints(row.AvgPtsNight)}${trendBadge(row)}</td>
+      <td>${valueBadge(row)}</td>
+      <td>${formatPoints(row.AvgPts5Nights)}${stayNote(row)}</td>
+    `;
+    tbody.appendChild(tr);
+
+    // Mobile card
+    const card = document.createElement('div');
+    card.className = 'card mb-3 shadow-sm';
+    card.dataset.id = row.Id;
+    card.innerHTML = `
+      <div class="card-body p-3">
+        <h6 class="card-title mb-1">${row.Hotel}</h6>
+        <p class="card-subtitle text-muted mb-2 small">${row.Brand} • ${row.City}, ${[row.State, row.Country].filter(Boolean).join(', ')}</p>${nearNote(row, filter.near)}
+        <div class="d-flex justify-content-between small">
+          <span><i class="fa-solid fa-plane"></i> ${row.DistanceKmFromAirport ? row.DistanceKmFromAirport.toFixed(1) + ' km' : '—'}</span>
+          <span><strong>${formatPoints(row.AvgPtsNight)}</strong> pts / night${trendBadge(row)} ${valueBadge(row)}</span>
+        </div>${stayNote(row)}
+      </div>`;
+    cardsContainer.appendChild(card);
+  }
+
+  if (map) {
+    if (fromMap || rows.some(r => r.Lat != null)) {
+      mapPanel.classList.remove('d-none');
+      map.refresh();
+    }
+    map.show(rows, { fit });
+  }
+  renderSortIndicators();
+  renderFacets();
+  updateUrl();
+}
+
+// ?q=<sentence>[&filter=<edited filter JSON>]&brand=…&maxPts=…&sort=…
+function updateUrl() {
+  const params = new URLSearchParams();
+  if (current.query) params.set('q', current.query);
+  if (current.edited) params.set('filter', JSON.stringify(current.filter));
+  toParams(refinement, params);
+  const qs = params.toString();
+  history.replaceState(null, '', qs ? `?${qs}` : location.pathname);
+}
+
+// Save the current filter with a points threshold; the server alerts when a
+// reloaded dataset has a hotel at or under it (GET /alerts, or the webhook).
+saveAlertBtn.addEventListener('click', async () => {
+  if (!current) return;
+  const prices = current.rows.map(r => r.AvgPtsNight).filter(n => n != null);
+  const suggested = current.filter.maxPtsNight ?? (prices.length ? Math.min(...prices) - 1000 : '');
+  const answer = prompt('Alert me when a hotel in this search costs at most (points per night):', suggested);
+  const threshold = Number(answer);
+  if (!answer || !(threshold > 0)) return;
+  try {
+    const res = await fetch('/saved-searches', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...(current.query && { query: current.query }), filter: current.filter, threshold })
+    });
+    const body = await res.json();
+    if (!res.ok) throw new Error(body.error || 'Server error');
+    statusEl.textContent = `Saved – you'll be alerted when a hotel is at or under ${threshold.toLocaleString()} pts / night.`;
+  } catch (err) {
+    statusEl.textContent = `Could not save the alert: ${err.message}`;
+  }
+});
+
+// Column headers sort on click: ascending, descending, then back to the
+// server's order.
+for (const th of table.querySelectorAll('th[data-sort]')) {
+  th.addEventListener('click', () => {
+    if (!current) return;
+    const field = th.dataset.sort;
+    const { sort } = refinement;
+    refinement.sort = sort?.field !== field ? { field, dir: 1 } : sort.dir > 0 ? { field, dir: -1 } : null;
+    renderResults({ fit: false });
+  });
+}
+
+function renderSortIndicators() {
+  for (const th of table.querySelectorAll('th[data-sort]')) {
+    const { sort } = refinement;
+    th.querySelector('.sort')?.remove();
+    if (sort?.field !== th.dataset.sort) continue;
+    th.insertAdjacentHTML('beforeend', `<span class="sort"> ${sort.dir > 0 ? '▲' : '▼'}</span>`);
+  }
+}
+
+// Facet sidebar: value checkboxes with counts for brand / state / city, and
+// sliders capping points and airport distance.
+function renderFacets() {
+  facetsEl.innerHTML = '';
+  facetsEl.classList.toggle('d-none', current.rows.length < 2);
+  const counts = facetCounts(current.rows, refinement);
+
+  for (const field of FACET_FIELDS) {
+    if (counts[field].length < 2 && !refinement[field].size) continue;
+    const section = document.createElement('div');
+    section.className = 'mb-3';
+    section.innerHTML = `<h6 class="small fw-semibold mb-1">${field}</h6><div class="facet-list"></div>`;
+    const list = section.querySelector('.facet-list');
+    for (const { value, count, selected } of counts[field]) {
+      const label = document.createElement('label');
+      label.className = 'form-check small mb-0';
+      label.innerHTML = `<input class="form-check-input" type="checkbox"> <span class="form-check-label"></span> <span class="text-muted">${count}</span>`;
+      label.querySelector('.form-check-label').textContent = value;
+      const box = label.querySelector('input');
+      box.checked = selected;
+      box.addEventListener('change', () => {
+        if (box.checked) refinement[field].add(value);
+        else refinement[field].delete(value);
+        renderResults();
+      });
+      list.appendChild(label);
+    }
+    facetsEl.appendChild(section);
+  }
+
+  for (const [key, { field, label, step }] of Object.entries(RANGES)) {
+    const range = rangeOf(current.rows, field);
+    if (!range || range.min === range.max) continue;
+    const max = Math.ceil(range.max / step) * step;
+    const value = refinement[key] ?? max;
+    const section = document.createElement('div');
+    section.className = 'mb-3';
+    section.innerHTML = `
+      <label class="small fw-semibold d-flex justify-content-between">${label} <output class="fw-normal"></output></label>
+      <input type="range" class="form-range" min="${Math.floor(range.min / step) * step}" max="${max}" step="${step}" value="${value}">`;
+    const input = section.querySelector('input');
+    const output = section.querySelector('output');
+    const show = v => { output.textContent = Number(v) >= max ? 'any' : Number(v).toLocaleString(); };
+    show(value);
+    input.addEventListener('input', () => show(input.value));
+    // Applied on release – re-rendering mid-drag would replace the slider.
+    input.addEventListener('change', () => {
+      refinement[key] = Number(input.value) >= max ? null : Number(input.value);
+      renderResults();
+    });
+    facetsEl.appendChild(section);
+  }
+
+  if (isRefined(refinement)) {
+    const clear = document.createElement('button');
+    clear.type = 'button';
+    clear.className = 'btn btn-sm btn-link p-0';
+    clear.textContent = 'Clear refinements';
+    clear.addEventListener('click', () => {
+      refinement = { ...emptyRefinement(), sort: refinement.sort };
+      renderResults();
+    });
+    facetsEl.appendChild(clear);
+  }
+}
+
+const FILTER_LABELS = {
+  city: 'City',
+  brand: 'Brand',
+  state: 'State',
+  country: 'Country',
+  hotel: 'Hotel',
+  excludeCity: 'Not city',
+  excludeBrand: 'Not brand',
+  excludeState: 'Not state',
+  excludeCountry: 'Not country',
+  minPtsNight: 'Min pts / night',
+  maxPtsNight: 'Max pts / night',
+  maxPts5Nights: 'Max pts / 5 nights',
+  minPtValue: 'Min ₹ value / pt',
+  maxPtValue: 'Max ₹ value / pt',
+  maxDistanceKm: 'Max airport km',
+  maxDriveMinutes: 'Max drive min',
+  nights: 'Nights',
+  near: 'Near',
+  bounds: 'Map',
+  rank: 'Rank'
+};
+
+const RANK_LABELS = {
+  AvgPtsNight: ['cheapest', 'most expensive'],
+  AvgPts5Nights: ['cheapest 5 nights', 'most expensive 5 nights'],
+  AvgPtValue: ['lowest value / pt', 'best value / pt'],
+  PointValue: ['worst value', 'best value'],
+  DistanceKmFromAirport: ['nearest', 'farthest'],
+  DriveMinutesFromAirport: ['shortest drive', 'longest drive'],
+  DistanceKm: ['closest to the place', 'farthest from the place']
+};
+
+// { by: 'AvgPtsNight', order: 'desc', limit: 3, groupBy: 'brand' } → "top 3 most expensive per brand"
+function describeRank({ by, order, limit, groupBy }) {
+  const [asc, desc] = RANK_LABELS[by] || [by, `${by} desc`];
+  const parts = [limit > 1 ? `top ${limit}` : '', order === 'desc' ? desc : asc, groupBy ? `per ${groupBy}` : ''];
+  return parts.filter(Boolean).join(' ');
+}
+
+// { place: 'Baga Beach', radiusKm: 20 } → "Baga Beach (≤ 20 km)"
+function describeNear({ place, lat, lon, radiusKm }) {
+  return `${place || `${lat}, ${lon}`}${radiusKm ? ` (≤ ${radiusKm} km)` : ''}`;
+}
+
+function formatFilterValue(value) {
+  if (Array.isArray(value)) return value.join(' or ');
+  if (value && typeof value === 'object') {
+    if (value.by) return describeRank(value);
+    return value.north !== undefined ? 'selected area' : describeNear(value);
+  }
+  return typeof value === 'number' ? value.toLocaleString() : value;
+}
+
+// Show the interpreted filter as removable chips, plus any corrections the
+// server applied to the parser's output.
+function renderInterpretation(filter, corrections) {
+  const chips = Object.entries(filter).map(([key, value]) => ({
+    label: `${FILTER_LABELS[key] || key}: ${formatFilterValue(value)}`,
+    remove: () => {
+      const { [key]: _, ...rest } = current.filter;
+      return { query: current.query, filter: rest, ...inSession() };
+    }
+  }));
+
+  for (const chip of chips) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'btn btn-sm btn-outline-primary rounded-pill';
+    btn.title = 'Remove this constraint and search again';
+    btn.textContent = `${chip.label} ×`;
+    btn.addEventListener('click', () => runSearch(chip.remove()));
+    interpretationEl.appendChild(btn);
+  }
+
+  for (const c of corrections) {
+    const note = document.createElement('small');
+    note.className = 'text-muted w-100';
+    const change = c.to === null ? `dropped ${c.field} ${c.from}` : `${c.field} → ${c.to}`;
+    note.textContent = `Adjusted: ${change} (${c.reason})`;
+    interpretationEl.appendChild(note);
+  }
+}
+
+// "Did you mean …?" buttons for name filters that matched nothing; clicking
+// one swaps the value in the current filter and searches again.
+function renderSuggestions(suggestions) {
+  for (const { field, value, didYouMean } of suggestions) {
+    const label = document.createElement('small');
+    label.className = 'text-muted';
+    label.textContent = `No ${field} "${value}" – did you mean`;
+    interpretationEl.appendChild(label);
+    for (const name of didYouMean) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'btn btn-sm btn-link p-0';
+      btn.textContent = name;
+      btn.addEventListener('click', () => {
+        const values = [].concat(current.filter[field]).map(v => (v === value ? name : v));
+        runSearch({ query: current.query, filter: { ...current.filter, [field]: values.length === 1 ? values[0] : values }, ...inSession() });
+      });
+      interpretationEl.appendChild(btn);
+    }
+  }
+}
+
+// "+ Brand: Westin · − City" – what a follow-up changed.
+function describeDelta({ set = {}, add = {}, remove = [], reset = false }) {
+  const parts = [
+    ...Object.entries(set).map(([key, value]) => `${FILTER_LABELS[key] || key}: ${formatFilterValue(value)}`),
+    ...Object.entries(add).map(([key, value]) => `+ ${FILTER_LABELS[key] || key}: ${formatFilterValue(value)}`),
+    ...remove.map(key => `− ${FILTER_LABELS[key] || key}`)
+  ];
+  return reset ? `new search${parts.length ? ` – ${parts.join(' · ')}` : ''}` : parts.join(' · ');
+}
+
+// The conversation so far, one line per step, each with an undo button.
+function renderThread() {
+  threadEl.innerHTML = '';
+  threadEl.classList.toggle('d-none', !session?.steps.length);
+  session?.steps.forEach((step, i) => {
+    const li = document.createElement('li');
+    li.className = 'list-group-item d-flex align-items-start gap-2 small';
+    li.innerHTML = `
+      <div class="me-auto"><span class="fw-semibold"></span><div class="text-muted"></div></div>
+      <button type="button" class="btn btn-sm btn-link p-0" title="Remove this step and search again">Undo</button>`;
+    li.querySelector('.fw-semibold').textContent = step.query;
+    li.querySelector('.text-muted').textContent = describeDelta(step.delta);
+    li.querySelector('button').addEventListener('click', () => runSearch(null, { undo: i }));
+    threadEl.appendChild(li);
+  });
+}
+
+// A shared link: re-run its search and restore the refinement.
+const shared = new URLSearchParams(location.search);
+if (shared.has('q') || shared.has('filter')) {
+  let filter;
+  try {
+    filter = shared.has('filter') ? JSON.parse(shared.get('filter')) : undefined;
+  } catch {
+    filter = undefined;
+  }
+  queryInput.value = shared.get('q') || '';
+  runSearch({ query: shared.get('q') || '', ...(filter && { filter }) }, { keep: fromParams(shared) });
+}
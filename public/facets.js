@@ -0,0 +1,96 @@
+// Client-side refinement of the current results: country / brand / state / city facets,
+// maximum points and airport distance, and the table sort. None of it goes
+// back to the server – the rows are already here – but all of it is kept in
+// the page URL, so a refined view can be shared.
+
+export const FACET_FIELDS = ['Country', 'Brand', 'State', 'City'];
+
+// Range sliders: URL parameter → record field.
+export const RANGES = {
+  maxPts: { field: 'AvgPtsNight', label: 'Max pts / night', step: 500 },
+  maxKm: { field: 'DistanceKmFromAirport', label: 'Max airport km', step: 1 }
+};
+
+/** No facet selected, no range limit, server order. */
+export function emptyRefinement() {
+  return {
+    ...Object.fromEntries(FACET_FIELDS.map(f => [f, new Set()])),
+    ...Object.fromEntries(Object.keys(RANGES).map(k => [k, null])),
+    sort: null // { field, dir: 1 | -1 }
+  };
+}
+
+export const isRefined = state =>
+  FACET_FIELDS.some(f => state[f].size) || Object.keys(RANGES).some(k => state[k] != null);
+
+// Rows passing every facet and range except `except` (so a facet's own counts
+// show what choosing another value of it would give).
+export function refine(rows, state, except = null) {
+  return rows.filter(row =>
+    FACET_FIELDS.every(f => f === except || !state[f].size || state[f].has(row[f]))
+    && Object.entries(RANGES).every(([key, { field }]) =>
+      state[key] == null || (row[field] != null && row[field] <= state[key])));
+}
+
+/** Per facet: [{ value, count, selected }], most common first. */
+export function facetCounts(rows, state) {
+  const result = {};
+  for (const field of FACET_FIELDS) {
+    const counts = new Map();
+    for (const row of refine(rows, state, field)) {
+      if (row[field]) counts.set(row[field], (counts.get(row[field]) || 0) + 1);
+    }
+    // A selected value stays listed (with 0) so it can be unticked.
+    for (const value of state[field]) if (!counts.has(value)) counts.set(value, 0);
+    result[field] = [...counts]
+      .map(([value, count]) => ({ value, count, selected: state[field].has(value) }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+  }
+  return result;
+}
+
+/** { min, max } of a numeric field over `rows`, or null when none has it. */
+export function rangeOf(rows, field) {
+  const values = rows.map(r => r[field]).filter(v => v != null);
+  return values.length ? { min: Math.min(...values), max: Math.max(...values) } : null;
+}
+
+// Missing values sort last in either direction, as in GET /hotels.
+// `valueOf(row, field)` gives the value compared, e.g. a price in ₹.
+export function sortRows(rows, sort, valueOf = (row, field) => row[field]) {
+  if (!sort) return rows;
+  const { field, dir } = sort;
+  return [...rows].sort((a, b) => {
+    const x = valueOf(a, field);
+    const y = valueOf(b, field);
+    if (x == null || y == null) return x == null ? (y == null ? 0 : 1) : -1;
+    return (typeof x === 'number' ? x - y : String(x).localeCompare(String(y))) * dir;
+  });
+}
+
+/** Write the refinement into `params` (URLSearchParams), replacing it. */
+export function toParams(state, params) {
+  for (const f of FACET_FIELDS) {
+    params.delete(f.toLowerCase());
+    for (const value of state[f]) params.append(f.toLowerCase(), value);
+  }
+  for (const key of Object.keys(RANGES)) {
+    if (state[key] == null) params.delete(key);
+    else params.set(key, state[key]);
+  }
+  if (state.sort) params.set('sort', `${state.sort.dir < 0 ? '-' : ''}${state.sort.field}`);
+  else params.delete('sort');
+  return params;
+}
+
+export function fromParams(params) {
+  const state = emptyRefinement();
+  for (const f of FACET_FIELDS) state[f] = new Set(params.getAll(f.toLowerCase()));
+  for (const key of Object.keys(RANGES)) {
+    const n = Number(params.get(key));
+    if (params.has(key) && Number.isFinite(n)) state[key] = n;
+  }
+  const sort = params.get('sort');
+  if (sort) state.sort = { field: sort.replace(/^-/, ''), dir: sort.startsWith('-') ? -1 : 1 };
+  return state;
+}
@@ -0,0 +1,154 @@
+// Map panel for the results (Leaflet, loaded as the global `L` by
+// index.html). Markers are coloured by points per night; selecting one
+// highlights the matching result, and moving the map or shift-dragging a box
+// hands the new bounds back to app.js to search again.
+
+// Points-per-night bands, cheapest first.
+export const BANDS = [
+  { max: 15000, colour: '#198754', label: '< 15k' },
+  { max: 25000, colour: '#0d6efd', label: '15k – 25k' },
+  { max: 40000, colour: '#fd7e14', label: '25k – 40k' },
+  { max: Infinity, colour: '#dc3545', label: '40k +' }
+];
+const NO_PRICE = '#6c757d';
+
+const bandColour = pts => (pts == null ? NO_PRICE : BANDS.find(b => pts < b.max).colour);
+
+const toBounds = b => ({ south: b.getSouth(), west: b.getWest(), north: b.getNorth(), east: b.getEast() });
+
+// Hotels placed at the same coordinates (e.g. a city centre) are fanned out
+// a little so each marker stays clickable.
+function spread(rows) {
+  const seen = new Map();
+  return rows.map(row => {
+    const key = `${row.Lat},${row.Lon}`;
+    const n = seen.get(key) || 0;
+    seen.set(key, n + 1);
+    if (!n) return [row.Lat, row.Lon];
+    const angle = n * 2.4;
+    const r = 0.004 * Math.sqrt(n);
+    return [row.Lat + r * Math.sin(angle), row.Lon + r * Math.cos(angle)];
+  });
+}
+
+function popup(row) {
+  const pts = row.AvgPtsNight == null ? '—' : row.AvgPtsNight.toLocaleString();
+  const airport = row.DistanceKmFromAirport == null ? '' : `<br><i class="fa-solid fa-plane"></i> ${row.DistanceKmFromAirport.toFixed(1)} km from ${row.AirportCode || 'the airport'}`;
+  const near = row.DistanceKm == null ? '' : `<br><i class="fa-solid fa-location-dot"></i> ${row.DistanceKm.toFixed(1)} km away`;
+  const approximate = row.GeoPrecision === 'city' ? `<br><span class="small text-muted">Shown at the ${row.City} city centre – distances are approximate</span>` : '';
+  return `<strong>${row.Hotel}</strong><br><span class="text-muted">${row.Brand}</span><br>${pts} pts / night${airport}${near}${approximate}`;
+}
+
+/**
+ * Create the map in `el`. `tiles` is the server's map config ({ tileUrl,
+ * attribution, maxZoom }), `airports` the /airports table. `onSelect(id)`
+ * runs when a marker is clicked, `onBounds(bounds)` when the user asks for a
+ * search of an area.
+ */
+export function createMap(el, { tiles, airports, onSelect, onBounds }) {
+  const map = L.map(el, { boxZoom: true }).setView([22.5, 79], 5);
+  L.tileLayer(tiles.tileUrl, { attribution: tiles.attribution, maxZoom: tiles.maxZoom }).addTo(map);
+
+  const legend = L.control({ position: 'bottomright' });
+  legend.onAdd = () => {
+    const div = L.DomUtil.create('div', 'bg-white rounded px-2 py-1 small shadow-sm');
+    div.innerHTML = BANDS.map(b => `<div><span style="color:${b.colour}">●</span> ${b.label} pts</div>`).join('');
+    return div;
+  };
+  legend.addTo(map);
+
+  const airportsByCode = new Map(airports.map(a => [a.code, a]));
+  const hotelLayer = L.layerGroup().addTo(map);
+  const airportLayer = L.layerGroup().addTo(map);
+  const markers = new Map(); // Id → { marker, row }
+  let route = null;
+  let searchOnMove = false;
+  let moving = false; // true while we move the map ourselves
+
+  // Dashed line from the selected hotel to its airport.
+  function showRoute(row, latLng) {
+    if (route) route.remove();
+    const airport = airportsByCode.get(row.AirportCode);
+    route = airport ? L.polyline([latLng, [airport.lat, airport.lon]], { color: '#6c757d', dashArray: '4 6', weight: 2 }).addTo(map) : null;
+  }
+
+  function select(id) {
+    const entry = markers.get(id);
+    if (!entry) return;
+    entry.marker.openPopup();
+    showRoute(entry.row, entry.marker.getLatLng());
+  }
+
+  // Whether fitting `bounds` (as fitBounds does) changes the view. When it
+  // doesn't, no moveend follows, so `moving` must not be set – it would
+  // swallow the next real move.
+  function changesView(bounds, maxZoom = map.getMaxZoom()) {
+    const zoom = Math.min(map.getBoundsZoom(bounds), maxZoom);
+    const centre = map.project(bounds.getSouthWest(), zoom).add(map.project(bounds.getNorthEast(), zoom)).divideBy(2);
+    const offset = map.latLngToContainerPoint(map.unproject(centre, zoom)).subtract(map.getSize().divideBy(2));
+    return zoom !== map.getZoom() || Math.abs(offset.x) >= 1 || Math.abs(offset.y) >= 1;
+  }
+
+  map.on('moveend', () => {
+    if (searchOnMove && !moving) onBounds(toBounds(map.getBounds()));
+    moving = false;
+  });
+  // Shift-drag draws a box: search exactly that area. Leaflet has started
+  // zooming to it already; its moveend is ours, not the user's.
+  map.on('boxzoomend', e => {
+    moving = changesView(e.boxZoomBounds);
+    onBounds(toBounds(e.boxZoomBounds));
+  });
+
+  return {
+    /** Plot `rows`; `fit` zooms to them (not after a search by bounds). */
+    show(rows, { fit = true } = {}) {
+      hotelLayer.clearLayers();
+      airportLayer.clearLayers();
+      markers.clear();
+      if (route) route.remove();
+      route = null;
+
+      const placed = rows.filter(r => r.Lat != null && r.Lon != null);
+      spread(placed).forEach((latLng, i) => {
+        const row = placed[i];
+        const marker = L.circleMarker(latLng, {
+          radius: 7, color: '#fff', weight: 1, fillColor: bandColour(row.AvgPtsNight), fillOpacity: 0.9
+        }).bindPopup(popup(row));
+        marker.on('click', () => {
+          showRoute(row, latLng);
+          onSelect(row.Id);
+        });
+        marker.addTo(hotelLayer);
+        markers.set(row.Id, { marker, row });
+      });
+
+      for (const code of new Set(placed.map(r => r.AirportCode).filter(Boolean))) {
+        const a = airportsByCode.get(code);
+        if (!a) continue;
+        L.marker([a.lat, a.lon], {
+          icon: L.divIcon({ className: '', html: '<i class="fa-solid fa-plane text-secondary"></i>', iconSize: [16, 16] }),
+          title: `${a.code} – ${a.name}`
+        }).bindPopup(`<strong>${a.code}</strong> ${a.name}`).addTo(airportLayer);
+      }
+
+      if (fit && placed.length) {
+        const bounds = L.latLngBounds(placed.map(r => [r.Lat, r.Lon])).pad(0.2);
+        moving = changesView(bounds, 12);
+        map.fitBounds(bounds, { maxZoom: 12 });
+      }
+    },
+
+    select,
+
+    /** Search again whenever the map is panned or zoomed. */
+    followMoves(on) {
+      searchOnMove = on;
+    },
+
+    // Leaflet measures its container once; call after it becomes visible.
+    refresh() {
+      map.invalidateSize();
+    }
+  };
+}
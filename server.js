@@ -2,226 +2,215 @@
 /*
   server.js
   ---------
-  Lightweight Express server that loads `data/hotels.csv`, exposes a POST /search
+  Lightweight Express server that loads `data/*.csv`, exposes a POST /search
   endpoint and serves the UI from /public.
 
   → POST /search  { "query": "show me marriott properties in delhi ..." }
-     returns      { count: <n>, data: [...] }
-
-  The user query is sent to OpenAI which responds with a JSON filter. We then
-  validate and apply the filter locally – no hotel data is shared with the LLM.
+     returns      { count: <n>, parser: "llm" | "local", filter, corrections, data: [...] }
+     follow-ups:  { "query": "only under 20k", "session": true | "<id>" } (returns `session`)
+  → GET /sessions/:id   a conversation's steps
+  → DELETE /sessions/:id/steps/:index   undo a step and search again
+  → POST /plan    { "stops": [{ "hotel": "JW Marriott Pune", "nights": 3 }, { "city": "Goa", "nights": 5 }] }
+     returns      { totalPoints, totalCashValue, freeNights, stops: [{ hotel, points, alternatives }] }
+  → GET /hotels?city=goa&maxPtsNight=35000&sort=-AvgPtsNight&limit=10&fields=Id,Hotel
+     returns      { total: <n>, count: <n>, offset, limit, data: [...] }
+     near a place: /hotels?near[place]=Baga Beach&near[radiusKm]=20 (results carry DistanceKm)
+  → GET /hotels/:id   a single record by its stable Id
+  → GET /hotels/:id/history   point prices across imported snapshots
+  → GET /price-changes?from=&to=&direction=up|down
+  → POST /saved-searches  { "query": "JW Marriott Goa under 35k", "threshold": 30000 }
+  → GET /saved-searches, DELETE /saved-searches/:id
+  → GET /alerts?since=&search=&limit=   price alerts, newest first
+  → GET /config          map tile settings, value thresholds and currencies for the UI
+  → GET /airports        the bundled airport table (lib/geo.js)
+  → GET /admin/datasets  loaded datasets, row counts and load errors
+  → GET /admin/usage     LLM calls today and query cache statistics
+  → GET /admin/analytics?since=&limit=   top, zero-result and failed queries (UI: /admin.html)
+
+  Each data/*.csv is a named dataset, re-loaded when the file changes; pass
+  `dataset` (body or query string) to pick one other than data/hotels.csv.
+
+  The user query is sent to an LLM (lib/llm.js: OpenAI, an OpenAI-compatible
+  local server or recorded fixtures) which responds with a JSON filter. We
+  then validate and apply the filter locally – no hotel data is shared with the
+  LLM. When the LLM is unavailable (or PARSER_MODE=local) a rule-based parser
+  in lib/local_parser.js produces the filter instead.
 */
 
 import 'dotenv/config';
-import fs from 'fs';
 import path from 'path';
-import express from 'express';
-import { parse } from 'csv-parse/sync';
-import Ajv from 'ajv';
-import OpenAI from 'openai';
+import { createDatasetStore } from './lib/dataset.js';
+import { cityAliases } from './lib/corrections.js';
+import { configFromEnv, createProvider, withBudget } from './lib/llm.js';
+import { PARSER_MODES, createQueryParser, createFollowUpParser } from './lib/query.js';
+import { createQueryCache } from './lib/cache.js';
+import { createRateLimiter, createDailyBudget } from './lib/ratelimit.js';
+import { createApp } from './lib/app.js';
+import { loadPlaces, createGazetteer } from './lib/places.js';
+import { createSessionStore } from './lib/session.js';
+import { loadCashRates, createValueScorer } from './lib/value.js';
+import { createAlertStore } from './lib/alerts.js';
+import { createAnalytics } from './lib/analytics.js';
 
 // -----------------------------
 // Data loading
 // -----------------------------
-const csvPath = path.join(process.cwd(), 'data', 'hotels.csv');
-if (!fs.existsSync(csvPath)) {
-  console.error('❌ data/hotels.csv not found – run "npm run extract" first.');
+// Point values come from the sheet unless CASH_RATES_FILE has a cash rate for
+// the hotel; VALUE_POOR_BELOW / VALUE_GOOD_FROM (₹ per point, other currencies
+// converted at their data/countries/ rate) rate them.
+let value;
+try {
+  value = createValueScorer({
+    cashRates: loadCashRates(process.env.CASH_RATES_FILE && path.resolve(process.env.CASH_RATES_FILE)),
+    ...(process.env.VALUE_POOR_BELOW && { poorBelow: Number(process.env.VALUE_POOR_BELOW) }),
+    ...(process.env.VALUE_GOOD_FROM && { goodFrom: Number(process.env.VALUE_GOOD_FROM) })
+  });
+} catch (err) {
+  console.error(`❌ ${err.message}`);
   process.exit(1);
 }
-const rawRecords = parse(fs.readFileSync(csvPath, 'utf8'), {
-  columns: true,
-  skip_empty_lines: true
+// Saved searches are re-checked whenever a dataset is (re)loaded; matches are
+// logged in ALERTS_DIR and POSTed to ALERT_WEBHOOK_URL when set.
+const alerts = createAlertStore({
+  dir: path.resolve(process.env.ALERTS_DIR || path.join('data', 'alerts')),
+  webhookUrl: process.env.ALERT_WEBHOOK_URL || ''
 });
-
-// Normalise header variants coming from manual CSVs
-const records = rawRecords.map(r => {
-  // the uploaded CSV uses: Hotel Name, Ave Pt Value, Ave Pts / night, Ave Pts / 5 Nights
-  // Map them to concise camel-case keys our code expects.
-  const normalized = {
-    Brand: r.Brand,
-    Hotel: r['Hotel'] || r['Hotel Name'],
-    City: r.City,
-    AvgPtValue: r['AvgPtValue'] || r['Ave Pt Value'],
-    AvgPtsNight: r['AvgPtsNight'] || r['Ave Pts / night'] || r['Ave Pts / Night'],
-    AvgPts5Nights: r['AvgPts5Nights'] || r['Ave Pts / 5 Nights'] || r['Ave Pts / 5 nights'],
-    State: r.State || r.state || '',
-    DistanceKmFromAirport: Number(r.DistanceKmFromAirport || 0),
-    // numeric fields handled below
-  };
-
-  // Coerce numeric strings → numbers (remove ₹ and commas)
-  const clean = s => Number(String(s).replace(/[^0-9.]/g, ''));
-  normalized.AvgPtValue = clean(normalized.AvgPtValue);
-  normalized.AvgPtsNight = clean(normalized.AvgPtsNight);
-  normalized.AvgPts5Nights = clean(normalized.AvgPts5Nights);
-  return normalized;
+// Every /search is logged to stdout as one JSON line (SEARCH_LOG=0 to stop)
+// and kept in ANALYTICS_DIR for GET /admin/analytics.
+const analytics = createAnalytics({
+  dir: path.resolve(process.env.ANALYTICS_DIR || path.join('data', 'analytics')),
+  log: process.env.SEARCH_LOG === '0' ? null : line => console.log(line)
 });
 
-// Build a quick lookup of state names available in the dataset
-const knownStates = new Set(records.map(r => r.State.toLowerCase()).filter(Boolean));
+// Every data/*.csv is a named dataset (data/hotels.csv → "hotels", the
+// default). Files are watched and re-loaded in place unless DATA_WATCH=0.
+const dataDir = path.resolve(process.env.DATA_DIR || 'data');
+// STRICT_DATA=1 refuses to serve a file whose validation report has errors.
+// Rows naming no country, in a city no country file knows, are in
+// DEFAULT_COUNTRY (a code or name, India unless set).
+const datasets = createDatasetStore(dataDir, {
+  cityAliases,
+  ...(process.env.DEFAULT_COUNTRY && { defaultCountry: process.env.DEFAULT_COUNTRY }),
+  defaultName: process.env.DATASET || 'hotels',
+  strict: process.env.STRICT_DATA === '1',
+  value,
+  onLoad: ds => alerts.check(ds).then(raised => {
+    if (raised.length) console.log(`🔔 ${raised.length} price alert(s) for "${ds.name}"`);
+  }).catch(err => console.warn(`⚠ Alert check failed: ${err.message}`))
+});
+datasets.loadAll();
+if (!datasets.get()) {
+  const status = datasets.status().find(d => d.name === datasets.defaultName);
+  console.error(status?.error
+    ? `❌ ${status.error}`
+    : `❌ ${path.join(path.relative(process.cwd(), dataDir), datasets.defaultName)}.csv not found – build it with "npm run pipeline -- <your.csv> --name ${datasets.defaultName} --publish".`);
+  process.exit(1);
+}
+if (process.env.DATA_WATCH !== '0') datasets.watch();
+if (value.cashRates) {
+  const matched = datasets.get().records.filter(r => r.PointValueSource === 'cash rate').length;
+  console.log(`💱 ${matched} of ${value.cashRates} cash rate(s) in ${process.env.CASH_RATES_FILE} match a hotel`);
+}
 
-// Map common city aliases to canonical names used in CSV
-const cityAliases = {
-  bangalore: 'bengaluru',
-  bengaluru: 'bengaluru',
-  bombay: 'mumbai',
-  delhi: 'new delhi',
-  gurugram: 'gurgaon',
-  gurgaon: 'gurgaon'
-};
+// Price history written by `npm run history -- import` (see lib/history.js)
+const historyDir = path.resolve(process.env.HISTORY_DIR || path.join('data', 'history'));
 
-function canonicalCity(name) {
-  const key = name.toLowerCase();
-  return cityAliases[key] || name;
+// Landmarks for "near <place>" searches, on top of the bundled airports and
+// city centres (lib/places.js).
+let places;
+try {
+  places = createGazetteer(loadPlaces(path.resolve(process.env.PLACES_FILE || path.join('data', 'places.json'))));
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
 }
 
 // -----------------------------
 // LLM setup
 // -----------------------------
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-if (!openai.apiKey) {
-  console.warn('⚠ OPENAI_API_KEY env var not set – the /search endpoint will 503');
-}
-
-const filterSchema = {
-  type: 'object',
-  properties: {
-    city: { type: 'string' },
-    brand: { type: 'string' },
-    state: { type: 'string' },
-    hotel: { type: 'string' },
-    minPtsNight: { type: 'number' },
-    maxPtsNight: { type: 'number' },
-    maxDistanceKm: { type: 'number' }
-  },
-  additionalProperties: false
-};
-const ajv = new Ajv();
-const validateFilter = ajv.compile(filterSchema);
-
-async function queryToFilter(query) {
-  if (!openai.apiKey) throw new Error('OPENAI_API_KEY missing');
-  const systemPrompt = `Convert the user's sentence into a JSON object used to filter a hotel list. Allowed keys:\n  • city  (string – case insensitive exact match)\n  • brand (string – case insensitive exact or partial match)\n  • state (string – case insensitive exact or partial match)\n  • hotel (string – case insensitive substring to match within the hotel name)\n  • maxPtsNight (number – assume numbers refer to points, not nights)\n  • minPtsNight (number – assume numbers refer to points, not nights)\n  • maxDistanceKm (number – maximum distance from airport in kilometres)\nIf the user talks about \"nights\" (e.g. \"for 5 nights\") do NOT set any numeric point filter.\nReturn ONLY valid JSON with these keys (omit keys that don't apply). Do NOT wrap in code fences.`;
-
-  const { choices } = await openai.chat.completions.create({
-    model: 'gpt-3.5-turbo',
-    temperature: 0,
-    messages: [
-      { role: 'system', content: systemPrompt },
-      { role: 'user', content: query }
-    ]
-  });
-  const content = choices[0].message.content.trim();
-  const filter = JSON.parse(content);
-  // Canonicalise city name if present
-  if (filter.city) filter.city = canonicalCity(filter.city);
-
-  // If the LLM put a state name into `city`, correct it.
-  if (filter.city && !filter.state) {
-    const maybeState = filter.city.toLowerCase();
-    if (knownStates.has(maybeState)) {
-      filter.state = filter.city;
-      delete filter.city;
-    }
-  }
-
-  // If city is still missing but query mentions an alias, infer it
-  if (!filter.city) {
-    for (const alias in cityAliases) {
-      if (query.toLowerCase().includes(alias)) {
-        filter.city = cityAliases[alias];
-        break;
-      }
-    }
-  }
-
-  // If the LLM produced unrealistically small point values (likely mis-parsing
-  // a phrase such as "for 5 nights") drop those numeric filters.
-  if (filter.maxPtsNight !== undefined && filter.maxPtsNight < 1000) delete filter.maxPtsNight;
-  if (filter.minPtsNight !== undefined && filter.minPtsNight < 1000) delete filter.minPtsNight;
-  if (process.env.DEBUG_LLM) console.log('LLM filter →', JSON.stringify(filter));
-  return filter;
+// PARSER_MODE: llm | local | llm-with-local-fallback (see lib/query.js)
+let parserMode = process.env.PARSER_MODE || 'llm-with-local-fallback';
+if (!PARSER_MODES.includes(parserMode)) {
+  console.warn(`⚠ Unknown PARSER_MODE "${parserMode}" – using llm-with-local-fallback`);
+  parserMode = 'llm-with-local-fallback';
 }
 
-function contains(haystack, needle) {
-  return haystack.toLowerCase().includes(needle.toLowerCase());
+// LLM_PROVIDER picks the model backend (openai, openai-compatible, mock).
+const llmConfig = configFromEnv();
+let llm;
+try {
+  llm = createProvider(llmConfig);
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
 }
-
-function containsAllTokens(text, query) {
-  const tokens = query.toLowerCase().split(/\s+/).filter(Boolean);
-  const lower = text.toLowerCase();
-  return tokens.every(tok => lower.includes(tok));
+if (!llm.available && parserMode === 'llm') {
+  console.warn(`⚠ ${llm.reason} – the /search endpoint will 503`);
+} else if (!llm.available && parserMode !== 'local') {
+  console.warn(`⚠ ${llm.reason} – /search will use the local parser`);
 }
 
-function applyFilter(filter) {
-  let res = records;
-  if (filter.city) res = res.filter(r => containsAllTokens(r.City, filter.city));
-
-  if (filter.brand) {
-    const b = filter.brand.trim().toLowerCase();
-    if (b !== 'marriott') { // treat plain "marriott" as umbrella (no filtering)
-      res = res.filter(r => contains(r.Brand, filter.brand) || contains(r.Hotel, filter.brand));
-    }
-  }
-
-  if (filter.hotel) {
-    res = res.filter(r => containsAllTokens(r.Hotel, filter.hotel));
-  }
-
-  if (filter.state) {
-    res = res.filter(r => containsAllTokens(r.State, filter.state));
-  }
-
-  if (filter.maxPtsNight !== undefined) res = res.filter(r => r.AvgPtsNight <= filter.maxPtsNight);
-  if (filter.minPtsNight !== undefined) res = res.filter(r => r.AvgPtsNight >= filter.minPtsNight);
-  if (filter.maxDistanceKm !== undefined) res = res.filter(r => r.DistanceKmFromAirport && r.DistanceKmFromAirport <= filter.maxDistanceKm);
-  return res;
-}
+// Parsed sentences are cached per dataset (QUERY_CACHE_TTL_HOURS, 0 = off;
+// at most QUERY_CACHE_SIZE of them), optionally persisted to QUERY_CACHE_FILE.
+// LLM_DAILY_BUDGET caps LLM calls per UTC day (0 = unlimited); past it
+// /search uses the local parser.
+const cacheTtlHours = Number(process.env.QUERY_CACHE_TTL_HOURS ?? 24);
+const queryCache = createQueryCache({
+  ttlMs: cacheTtlHours * 60 * 60 * 1000,
+  maxEntries: cacheTtlHours > 0 ? Number(process.env.QUERY_CACHE_SIZE) || 1000 : 0,
+  file: process.env.QUERY_CACHE_FILE ? path.resolve(process.env.QUERY_CACHE_FILE) : null
+});
+const llmBudget = createDailyBudget(Number(process.env.LLM_DAILY_BUDGET) || 0);
+
+const queryToFilter = createQueryParser({
+  mode: parserMode,
+  provider: withBudget(llm, llmBudget),
+  cache: queryCache,
+  retries: llmConfig.retries,
+  debug: Boolean(process.env.DEBUG_LLM),
+  places
+});
+const followUp = createFollowUpParser({
+  mode: parserMode,
+  provider: withBudget(llm, llmBudget),
+  retries: llmConfig.retries,
+  debug: Boolean(process.env.DEBUG_LLM),
+  places
+});
+// Follow-up conversations are forgotten after SESSION_TTL_MINUTES unused.
+const sessions = createSessionStore({ ttlMs: (Number(process.env.SESSION_TTL_MINUTES) || 30) * 60 * 1000 });
 
 // -----------------------------
 // Express app
 // -----------------------------
-const app = express();
-app.use(express.json());
-app.use(express.static('public'));
-
-app.post('/search', async (req, res) => {
-  const { query } = req.body;
-  if (!query) return res.status(400).json({ error: 'query field required' });
-
-  try {
-    const filter = await queryToFilter(query);
-    // If user asked for nearest/closest, we do our own distance sort later; ignore any overly strict maxDistanceKm added by the LLM.
-    const wantsNearest = /\b(nearest|closest)\b/i.test(query);
-    if (wantsNearest) delete filter.maxDistanceKm;
-
-    if (!validateFilter(filter)) {
-      return res.status(422).json({ error: 'invalid filter generated', details: validateFilter.errors });
-    }
-    let data = applyFilter(filter);
-
-    // If the user's original query looks for the cheapest/lowest redemption
-    if (/\b(cheapest|lowest|least expensive|min(?:imum)?)\b/i.test(query)) {
-      const min = Math.min(...data.map(r => r.AvgPtsNight));
-      data = data.filter(r => r.AvgPtsNight === min);
-    }
-
-    // Handle nearest/closest intent: sort by distance inside the already filtered set.
-    if (wantsNearest) {
-      data = data
-        .filter(r => r.DistanceKmFromAirport > 0)
-        .sort((a, b) => a.DistanceKmFromAirport - b.DistanceKmFromAirport)
-        .slice(0, 5);
-    }
-
-    res.json({ count: data.length, data });
-  } catch (err) {
-    console.error(err);
-    res.status(503).json({ error: err.message });
-  }
+const app = createApp({
+  datasets,
+  queryToFilter,
+  followUp,
+  sessions,
+  historyDir,
+  adminToken: process.env.ADMIN_TOKEN,
+  // RATE_LIMIT_MAX searches per client per RATE_LIMIT_WINDOW_MS (0 = no limit)
+  searchLimit: createRateLimiter({
+    windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000,
+    max: Number(process.env.RATE_LIMIT_MAX ?? 30)
+  }),
+  usage: () => ({ llm: { provider: llm.name, model: llm.model, budget: llmBudget.status() }, queryCache: queryCache.stats(), ...sessions.stats(), alerts: alerts.stats(), analytics: analytics.stats() }),
+  // Behind a reverse proxy, TRUST_PROXY=1 makes req.ip the client's address.
+  trustProxy: process.env.TRUST_PROXY === '1',
+  places,
+  // Map tiles for the UI, e.g. a local tile server: http://localhost:8080/tile/{z}/{x}/{y}.png
+  map: {
+    ...(process.env.MAP_TILE_URL && { tileUrl: process.env.MAP_TILE_URL }),
+    ...(process.env.MAP_TILE_ATTRIBUTION && { attribution: process.env.MAP_TILE_ATTRIBUTION }),
+    ...(process.env.MAP_MAX_ZOOM && { maxZoom: Number(process.env.MAP_MAX_ZOOM) })
+  },
+  value: value.thresholds,
+  alerts,
+  analytics
 });
 
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`✔ Marriott-finder API running on http://localhost:${PORT}`);
-}); 
\ No newline at end of file
+});
@@ -0,0 +1,114 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAlertStore } from '../lib/alerts.js';
+import { createDatasetStore } from '../lib/dataset.js';
+import { cityAliases } from '../lib/corrections.js';
+import { fixturesDir, loadFixtureDataset, startApp } from './helpers.js';
+
+const ds = loadFixtureDataset();
+
+// The same hotels, re-priced: `prices` maps Id → new AvgPtsNight.
+function repriced(prices, hash) {
+  const records = ds.records.map(r => (r.Id in prices ? { ...r, AvgPtsNight: prices[r.Id] } : r));
+  return { ...ds, hash, records, recordsById: new Map(records.map(r => [r.Id, r])) };
+}
+
+// A stand-in webhook receiver collecting the bodies it is sent.
+async function startWebhook() {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push(JSON.parse(body));
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    received,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+const goaJw = ds.records.find(r => r.Brand === 'JW Marriott' && r.State === 'Goa');
+
+describe('alert store', () => {
+  test('alerts only when a hotel newly matches or gets cheaper', async () => {
+    const alerts = createAlertStore();
+    const search = alerts.add({ query: 'jw marriott goa', filter: { brand: 'JW Marriott', state: 'Goa' }, threshold: goaJw.AvgPtsNight - 1000 }, ds);
+    assert.deepEqual(search.matches, {});
+
+    const [alert] = await alerts.check(repriced({ [goaJw.Id]: goaJw.AvgPtsNight - 2000 }, 'cheaper'));
+    assert.equal(alert.hotelId, goaJw.Id);
+    assert.equal(alert.previous, null);
+
+    // Same price again, then the same file again: nothing new.
+    assert.deepEqual(await alerts.check(repriced({ [goaJw.Id]: goaJw.AvgPtsNight - 2000 }, 'same-price')), []);
+    assert.deepEqual(await alerts.check(repriced({ [goaJw.Id]: goaJw.AvgPtsNight - 5000 }, 'same-price')), []);
+
+    const [cheaper] = await alerts.check(repriced({ [goaJw.Id]: goaJw.AvgPtsNight - 5000 }, 'cheaper-still'));
+    assert.equal(cheaper.previous, goaJw.AvgPtsNight - 2000);
+    assert.equal(alerts.alerts().length, 2);
+    assert.equal(alerts.alerts({ limit: 1 })[0].AvgPtsNight, goaJw.AvgPtsNight - 5000);
+  });
+
+  test('keeps saved searches and the log in its directory', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-'));
+    const alerts = createAlertStore({ dir });
+    alerts.add({ filter: { city: 'pune' }, threshold: 1000 }, ds);
+    await alerts.check(repriced(Object.fromEntries(ds.records.filter(r => r.City === 'Pune').map(r => [r.Id, 900])), 'sale'));
+
+    const reopened = createAlertStore({ dir });
+    assert.equal(reopened.list().length, 1);
+    assert.ok(reopened.alerts().length > 0);
+  });
+
+  test('dataset loads trigger a check', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-'));
+    fs.copyFileSync(path.join(fixturesDir, 'hotels.csv'), path.join(dir, 'hotels.csv'));
+    const loaded = [];
+    createDatasetStore(dir, { cityAliases, onLoad: d => loaded.push(d.name) }).loadAll();
+    assert.deepEqual(loaded, ['hotels']);
+  });
+});
+
+describe('saved searches in the API', () => {
+  let app, webhook, alerts;
+  before(async () => {
+    webhook = await startWebhook();
+    alerts = createAlertStore({ webhookUrl: webhook.url });
+    app = await startApp({ alerts, answers: { 'jw marriott goa under 35k': { brand: 'JW Marriott', state: 'Goa', maxPtsNight: 35000 } } });
+  });
+  after(async () => {
+    await app.close();
+    await webhook.close();
+  });
+
+  test('saves a sentence with its filter and posts alerts to the webhook', async () => {
+    const { status, body: search } = await app.post('/saved-searches', { query: 'jw marriott goa under 35k', threshold: 30000 });
+    assert.equal(status, 201);
+    assert.deepEqual(search.filter, { brand: 'JW Marriott', state: 'Goa', maxPtsNight: 35000 });
+
+    await alerts.check(repriced({ [goaJw.Id]: 29000 }, 'sale'));
+    assert.equal(webhook.received.length, 1);
+    assert.equal(webhook.received[0].alerts[0].hotelId, goaJw.Id);
+
+    const { body } = await app.get(`/alerts?search=${search.id}`);
+    assert.equal(body.length, 1);
+    assert.equal(body[0].delivered, true);
+
+    assert.equal((await app.delete(`/saved-searches/${search.id}`)).status, 200);
+    assert.deepEqual((await app.get('/saved-searches')).body, []);
+  });
+
+  test('needs a threshold when the filter has no points cap', async () => {
+    const { status } = await app.post('/saved-searches', { filter: { city: 'pune' } });
+    assert.equal(status, 400);
+  });
+});
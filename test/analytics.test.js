@@ -0,0 +1,76 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAnalytics } from '../lib/analytics.js';
+import { startApp } from './helpers.js';
+
+describe('search analytics', () => {
+  test('groups queries by their normalised text', () => {
+    const analytics = createAnalytics();
+    analytics.record({ at: '2025-06-01T00:00:00.000Z', query: 'Hotels in Goa', parser: 'llm', count: 4, status: 200, ms: 10 });
+    analytics.record({ at: '2025-06-02T00:00:00.000Z', query: 'hotels in goa?', parser: 'local', count: 4, status: 200, ms: 30 });
+    analytics.record({ at: '2025-06-03T00:00:00.000Z', query: 'westin in atlantis', parser: 'llm', filter: { city: 'Atlantis' }, count: 0, status: 200, ms: 20 });
+    analytics.record({ at: '2025-06-04T00:00:00.000Z', query: 'q', parser: 'llm', count: null, status: 422, ms: 40, error: 'invalid filter generated' });
+
+    const report = analytics.report();
+    assert.deepEqual([report.searches, report.zeroResults, report.failures], [4, 1, 1]);
+    assert.deepEqual(report.latencyMs, { p50: 20, p95: 40 });
+    assert.deepEqual(report.byParser, { llm: 3, local: 1 });
+    assert.deepEqual(report.topQueries[0], { query: 'Hotels in Goa', searches: 2, zeroResults: 0, failures: 0, lastAt: '2025-06-02T00:00:00.000Z' });
+    assert.deepEqual(report.zeroResultQueries.map(q => [q.query, q.filter]), [['westin in atlantis', { city: 'Atlantis' }]]);
+    assert.equal(report.recentFailures[0].error, 'invalid filter generated');
+    assert.equal(analytics.report({ since: '2025-06-03T00:00:00.000Z' }).searches, 2);
+  });
+
+  test('persists events and writes each as a JSON log line', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'analytics-'));
+    const lines = [];
+    createAnalytics({ dir, log: line => lines.push(line) }).record({ query: 'q', count: 0, status: 200 });
+    assert.equal(JSON.parse(lines[0]).msg, 'search');
+    assert.equal(JSON.parse(lines[0]).level, 'info');
+    assert.equal(createAnalytics({ dir }).report().zeroResults, 1);
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  test('records every /search, failed ones with their details', async () => {
+    const analytics = createAnalytics();
+    const app = await startApp({ answers: { pune: { city: 'Pune' }, atlantis: { city: 'Atlantis' }, bad: 'not json' }, retries: 0, analytics });
+    try {
+      await app.post('/search', { query: 'pune' });
+      await app.post('/search', { query: 'atlantis' });
+      await app.post('/search', { query: 'bad' });
+      const { status, body } = await app.get('/admin/analytics?limit=5');
+      assert.equal(status, 200);
+      assert.equal(body.searches, 3);
+      assert.deepEqual(body.zeroResultQueries.map(q => q.query), ['atlantis']);
+      const [failure] = body.recentFailures;
+      assert.deepEqual([failure.query, failure.status, failure.count], ['bad', 422, null]);
+      assert.match(failure.error, /invalid JSON/);
+      const ok = body.topQueries.find(q => q.query === 'pune');
+      assert.deepEqual(ok.filter, { city: 'Pune' });
+      assert.equal((await app.get('/admin/analytics?since=soon')).status, 400);
+    } finally {
+      await app.close();
+    }
+  });
+
+  test('records an LLM failure the local parser covered for', async () => {
+    const analytics = createAnalytics();
+    const app = await startApp({ answers: { 'hotels in pune': { colour: 'blue' } }, mode: 'llm-with-local-fallback', retries: 0, analytics });
+    try {
+      const { status, body } = await app.post('/search', { query: 'hotels in pune' });
+      assert.equal(status, 200);
+      assert.equal(body.parser, 'local');
+      const report = (await app.get('/admin/analytics')).body;
+      assert.equal(report.failures, 1);
+      const [failure] = report.recentFailures;
+      assert.deepEqual([failure.status, failure.parser, failure.llmError.status], [200, 'local', 422]);
+      assert.match(failure.llmError.message, /does not match the schema/);
+      assert.equal(failure.llmError.details[0].keyword, 'additionalProperties');
+    } finally {
+      await app.close();
+    }
+  });
+});
@@ -0,0 +1,110 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parse } from 'csv-parse/sync';
+import { countries } from '../lib/countries.js';
+import { parseNumber } from '../lib/columns.js';
+import { loadDataset } from '../lib/dataset.js';
+import { validateRows } from '../lib/validate.js';
+import { applyFilter } from '../lib/filter.js';
+import { correctFilter, cityAliases } from '../lib/corrections.js';
+import { parseQueryLocally } from '../lib/local_parser.js';
+import { enrichStates } from '../lib/pipeline.js';
+import { rankRecords } from '../lib/rank.js';
+import { planTrip } from '../lib/planner.js';
+
+// Hotels in three countries: one with a Country cell, one placed by its
+// city, one by the sign on its point value.
+const CSV = [
+  'Brand,Hotel,City,State,Country,AvgPtValue,AvgPtsNight,AvgPts5Nights',
+  'JW Marriott,JW Marriott Hotel Pune,Pune,Maharashtra,,₹1.11,35000,140000',
+  'Westin,The Westin Siray Bay,Phuket,Phuket,Thailand,฿0.30,40000,160000',
+  'W,W Dubai The Palm,Dubai,Dubai,,AED 0.04,60000,240000'
+].join('\n');
+
+const loadMixed = () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'countries-')), 'mixed.csv');
+  fs.writeFileSync(file, CSV);
+  return loadDataset(file, { cityAliases });
+};
+
+describe('countries', () => {
+  test('are found by code, name or alias and own their cities and regions', () => {
+    assert.equal(countries.get('th').name, 'Thailand');
+    assert.equal(countries.get('UAE').code, 'AE');
+    assert.equal(countries.resolve({ city: 'Dubai' }).code, 'AE');
+    assert.equal(countries.resolve({ city: 'Atlantis' }).code, 'IN');
+    assert.equal(countries.resolve({ country: 'Narnia', city: 'Pune' }), undefined);
+    assert.equal(countries.regionOf('Phuket Town', countries.get('TH')), 'Phuket');
+    assert.deepEqual(countries.currencyIn('Rs. 1.10'), { token: 'rs.', code: 'INR' });
+  });
+
+  test('strip any known currency from numbers', () => {
+    assert.equal(parseNumber('฿0.35'), 0.35);
+    assert.equal(parseNumber('AED 0.04'), 0.04);
+    assert.equal(parseNumber('0.04 Dhs'), 0.04);
+  });
+
+  test('give every record a country and currency, rated in rupees', () => {
+    const ds = loadMixed();
+    assert.deepEqual(ds.records.map(r => [r.Country, r.Currency]), [
+      ['India', 'INR'], ['Thailand', 'THB'], ['United Arab Emirates', 'AED']
+    ]);
+    // ฿0.30 is ₹0.75 and AED 0.04 is ₹0.92: both good, not poor.
+    assert.deepEqual(ds.records.map(r => r.ValueRating), ['good', 'good', 'good']);
+  });
+
+  test('warn about unknown countries, states and mismatched currencies', () => {
+    const rows = parse([
+      'Brand,Hotel,City,State,Country,AvgPtValue,AvgPtsNight,AvgPts5Nights',
+      'Westin,Westin A,Pune,Maharashtra,Narnia,1.1,20000,80000',
+      'Westin,Westin B,Bangkok,Goa,,฿0.3,20000,80000',
+      'Westin,Westin C,Bangkok,Bangkok,,₹0.3,20000,80000'
+    ].join('\n'), { columns: true });
+    const codes = validateRows(rows).warnings.filter(w => w.code !== 'missing').map(w => [w.line, w.code]);
+    assert.deepEqual(codes, [[2, 'unknown-country'], [3, 'unknown-state'], [4, 'currency-mismatch']]);
+  });
+
+  test('filter by country, from the parser or a corrected city', () => {
+    const ds = loadMixed();
+    assert.deepEqual(applyFilter(ds, { country: ['Thailand', 'UAE'] }).map(r => r.City), ['Phuket', 'Dubai']);
+    assert.equal(applyFilter(ds, { excludeCountry: 'India' }).length, 2);
+
+    assert.deepEqual(parseQueryLocally('westin in thailand', ds.vocabulary), { brand: 'Westin', country: 'Thailand' });
+    const filter = { city: ['Pune', 'UAE'] };
+    const corrections = correctFilter(filter, 'pune or uae', ds);
+    assert.deepEqual(filter, { city: 'Pune', country: 'United Arab Emirates' });
+    assert.equal(corrections[0].reason, 'city "UAE" is a country');
+  });
+
+  test('compare and add up point values in rupees', () => {
+    // ฿0.40 is ₹1: better value than ₹0.60 although the number is smaller.
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'countries-')), 'values.csv');
+    fs.writeFileSync(file, [
+      'Brand,Hotel,City,State,AvgPtValue,AvgPtsNight,AvgPts5Nights',
+      'JW Marriott,JW Marriott Hotel Pune,Pune,Maharashtra,₹0.60,30000,120000',
+      'W,W Bangkok,Bangkok,Bangkok,฿0.40,30000,120000'
+    ].join('\n'));
+    const ds = loadDataset(file, { cityAliases });
+    const [pune, bangkok] = ds.records;
+    assert.deepEqual(rankRecords(ds.records, { by: 'PointValue', order: 'desc', limit: 1 }), [bangkok]);
+    assert.deepEqual(applyFilter(ds, { minPtValue: 0.8 }), [bangkok]);
+    assert.deepEqual(applyFilter(ds, { maxPtValue: 0.7 }), [pune]);
+
+    const plan = planTrip([{ hotel: 'pune', nights: 1 }, { hotel: 'bangkok', nights: 1 }], {
+      resolve: stop => ds.records.find(r => r.Id.includes(stop.hotel)),
+      sameCity: () => []
+    });
+    assert.deepEqual(plan.stops.map(s => [s.cashValue, s.hotel.Currency]), [[18000, 'INR'], [12000, 'THB']]);
+    assert.equal(plan.totalCashValue, 18000 + 12000 * countries.currency('THB').rate);
+  });
+
+  test('fill the Country column in the pipeline', () => {
+    const rows = [{ City: 'Pattaya', State: '', Country: '' }, { City: 'Atlantis', State: '', Country: '' }];
+    const { filled, countriesFilled } = enrichStates(rows);
+    assert.deepEqual([filled, countriesFilled], [1, 2]);
+    assert.deepEqual(rows.map(r => r.Country), ['Thailand', 'India']);
+  });
+});
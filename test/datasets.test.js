@@ -0,0 +1,103 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDatasetStore } from '../lib/dataset.js';
+import { startApp } from './helpers.js';
+
+const HEADER = 'Brand,Hotel,City,State,AvgPtValue,AvgPtsNight,AvgPts5Nights';
+const csv = (...rows) => [HEADER, ...rows].join('\n');
+const PUNE = 'Westin,The Westin Pune,Pune,Maharashtra,₹1.11,20000,80000';
+const GOA = 'W,W Goa,Goa,Goa,₹1.11,40000,160000';
+
+// Replace a file the way editors and the pipeline do: write, then rename.
+function replace(file, text) {
+  fs.writeFileSync(`${file}.tmp`, text);
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+// Resolves once `check()` is truthy, polling; rejects after `ms`.
+function until(check, ms = 3000) {
+  const started = Date.now();
+  return new Promise((resolve, reject) => {
+    const poll = () => {
+      if (check()) return resolve();
+      if (Date.now() - started > ms) return reject(new Error('timed out'));
+      setTimeout(poll, 20);
+    };
+    poll();
+  });
+}
+
+describe('dataset store', () => {
+  let dir;
+  let store;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'datasets-'));
+    fs.writeFileSync(path.join(dir, 'hotels.csv'), csv(PUNE));
+    fs.writeFileSync(path.join(dir, 'goa.csv'), csv(GOA));
+  });
+  afterEach(() => {
+    store?.close();
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  test('loads every CSV as a named dataset', () => {
+    store = createDatasetStore(dir);
+    store.loadAll();
+    assert.deepEqual(store.names().sort(), ['goa', 'hotels']);
+    assert.equal(store.get().name, 'hotels');
+    assert.equal(store.get('goa').records[0].Hotel, 'W Goa');
+  });
+
+  test('reloads a replaced file when watching', async () => {
+    const loaded = [];
+    store = createDatasetStore(dir, { onLoad: ds => loaded.push(ds.name) });
+    store.loadAll();
+    store.watch(20);
+    replace(path.join(dir, 'hotels.csv'), csv(PUNE, GOA));
+    await until(() => store.get().records.length === 2);
+    assert.ok(loaded.filter(n => n === 'hotels').length >= 2);
+  });
+
+  test('keeps serving the last good version when a new file fails to load', async () => {
+    store = createDatasetStore(dir);
+    store.loadAll();
+    store.watch(20);
+    const before = store.get();
+    replace(path.join(dir, 'hotels.csv'), 'Brand,Hotel\n');
+    await until(() => store.status().find(s => s.name === 'hotels').error);
+    assert.equal(store.get(), before);
+    assert.match(store.status().find(s => s.name === 'hotels').error, /no rows/);
+
+    replace(path.join(dir, 'hotels.csv'), csv(GOA));
+    await until(() => store.get() !== before);
+    assert.equal(store.get().records[0].Hotel, 'W Goa');
+    assert.equal(store.status().find(s => s.name === 'hotels').error, null);
+  });
+
+  test('with strict, refuses a file whose report has errors', () => {
+    fs.writeFileSync(path.join(dir, 'bad.csv'), csv(PUNE, 'Westin,,Pune,Maharashtra,₹1.11,20000,80000'));
+    store = createDatasetStore(dir, { strict: true });
+    store.loadAll();
+    assert.equal(store.get('bad'), undefined);
+    assert.ok(store.report('bad').errors.length);
+    assert.ok(store.get('hotels'));
+  });
+
+  test('POST /search and GET /hotels pick a dataset with `dataset`', async () => {
+    store = createDatasetStore(dir);
+    store.loadAll();
+    const app = await startApp({ answers: { q: {} }, datasets: store });
+    try {
+      assert.deepEqual((await app.post('/search', { query: 'q', dataset: 'goa' })).body.data.map(r => r.Hotel), ['W Goa']);
+      assert.deepEqual((await app.post('/search', { query: 'q' })).body.data.map(r => r.Hotel), ['The Westin Pune']);
+      const { body } = await app.get('/hotels?dataset=goa');
+      assert.deepEqual([body.dataset, body.total], ['goa', 1]);
+      assert.equal((await app.post('/search', { query: 'q', dataset: 'nope' })).status, 404);
+    } finally {
+      await app.close();
+    }
+  });
+});
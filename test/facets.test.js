@@ -0,0 +1,46 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { emptyRefinement, refine, facetCounts, sortRows, toParams, fromParams } from '../public/facets.js';
+
+const rows = [
+  { Id: 'a', Brand: 'W', State: 'Goa', City: 'Goa', AvgPtsNight: 60000, DistanceKmFromAirport: 40 },
+  { Id: 'b', Brand: 'Westin', State: 'Goa', City: 'Goa', AvgPtsNight: 30000, DistanceKmFromAirport: 25 },
+  { Id: 'c', Brand: 'Westin', State: 'Maharashtra', City: 'Pune', AvgPtsNight: 20000, DistanceKmFromAirport: null },
+  { Id: 'd', Brand: 'Courtyard', State: 'Maharashtra', City: 'Pune', AvgPtsNight: null, DistanceKmFromAirport: 12 }
+];
+const ids = list => list.map(r => r.Id);
+
+describe('result facets', () => {
+  test('combine facets with AND and values of one facet with OR', () => {
+    const state = emptyRefinement();
+    state.Brand = new Set(['Westin', 'W']);
+    state.State = new Set(['Goa']);
+    assert.deepEqual(ids(refine(rows, state)), ['a', 'b']);
+  });
+
+  test('count each facet without its own selection', () => {
+    const state = emptyRefinement();
+    state.Brand = new Set(['Westin']);
+    const counts = facetCounts(rows, state);
+    assert.deepEqual(counts.Brand.map(c => [c.value, c.count, c.selected]), [['Westin', 2, true], ['Courtyard', 1, false], ['W', 1, false]]);
+    assert.deepEqual(counts.State.map(c => [c.value, c.count]), [['Goa', 1], ['Maharashtra', 1]]);
+  });
+
+  test('range limits drop rows without a value', () => {
+    const state = { ...emptyRefinement(), maxKm: 30 };
+    assert.deepEqual(ids(refine(rows, state)), ['b', 'd']);
+  });
+
+  test('sorts with missing values last', () => {
+    assert.deepEqual(ids(sortRows(rows, { field: 'AvgPtsNight', dir: -1 })), ['a', 'b', 'c', 'd']);
+    assert.deepEqual(ids(sortRows(rows, { field: 'AvgPtsNight', dir: 1 })), ['c', 'b', 'a', 'd']);
+  });
+
+  test('round-trips through URL parameters', () => {
+    const state = { ...emptyRefinement(), maxPts: 30000, sort: { field: 'City', dir: -1 } };
+    state.Brand = new Set(['W', 'Westin']);
+    const params = toParams(state, new URLSearchParams('q=hotels+in+goa'));
+    assert.equal(params.toString(), 'q=hotels+in+goa&brand=W&brand=Westin&maxPts=30000&sort=-City');
+    assert.deepEqual(fromParams(params), state);
+  });
+});
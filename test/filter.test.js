@@ -0,0 +1,117 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyFilter, suggestFor, withStayCost, validateFilter } from '../lib/filter.js';
+import { canonicalCity, correctFilter } from '../lib/corrections.js';
+import { loadFixtureDataset } from './helpers.js';
+
+const ds = loadFixtureDataset();
+const ids = records => records.map(r => r.Id);
+
+describe('canonicalCity', () => {
+  test('maps aliases to the CSV spelling', () => {
+    assert.equal(canonicalCity('Bombay'), 'mumbai');
+    assert.equal(canonicalCity('delhi'), 'new delhi');
+  });
+
+  test('leaves canonical and unknown names alone', () => {
+    assert.equal(canonicalCity('Bengaluru'), 'Bengaluru');
+    assert.equal(canonicalCity('Pune'), 'Pune');
+  });
+});
+
+describe('correctFilter', () => {
+  test('expands city aliases, including excluded cities', () => {
+    const filter = { city: 'bombay', excludeCity: 'gurugram' };
+    const corrections = correctFilter(filter, 'hotels in bombay, not gurugram', ds);
+    assert.deepEqual(filter, { city: 'mumbai', excludeCity: 'gurgaon' });
+    assert.deepEqual(corrections.map(c => c.field), ['city', 'excludeCity']);
+  });
+
+  test('infers the city from an alias in the sentence', () => {
+    const filter = { maxPtsNight: 20000 };
+    correctFilter(filter, 'hotels in bangalore under 20k', ds);
+    assert.equal(filter.city, 'bengaluru');
+  });
+
+  test('does not infer a city the user excluded', () => {
+    const filter = { excludeCity: 'delhi' };
+    correctFilter(filter, 'anything but delhi', ds);
+    assert.equal(filter.city, undefined);
+  });
+
+  test('moves state names out of city and merges them with state', () => {
+    const filter = { city: ['Goa', 'Pune'], state: 'Kerala' };
+    const corrections = correctFilter(filter, 'goa, kerala or pune', ds);
+    assert.deepEqual(filter, { city: 'Pune', state: ['Kerala', 'Goa'] });
+    assert.deepEqual(corrections, [{ field: 'state', from: null, to: 'Goa', reason: 'city "Goa" is a state name' }]);
+  });
+
+  test('drops point values too small to be points', () => {
+    const filter = { maxPtsNight: 5, minPtsNight: 3, maxPts5Nights: 150000 };
+    const corrections = correctFilter(filter, 'for 5 nights', ds);
+    assert.deepEqual(filter, { maxPts5Nights: 150000 });
+    assert.deepEqual(corrections.map(c => c.field), ['maxPtsNight', 'minPtsNight']);
+  });
+
+  test('drops an invented distance cap when ranking nearest', () => {
+    const filter = { city: 'Pune', maxDistanceKm: 20, rank: { by: 'DistanceKmFromAirport', order: 'asc', limit: 5 } };
+    correctFilter(filter, 'hotels nearest to pune airport', ds);
+    assert.equal(filter.maxDistanceKm, undefined);
+  });
+
+  test('keeps a distance cap the user asked for', () => {
+    const filter = { city: 'Pune', maxDistanceKm: 15, rank: { by: 'DistanceKmFromAirport', order: 'asc', limit: 5 } };
+    correctFilter(filter, 'nearest within 15 km of pune airport', ds);
+    assert.equal(filter.maxDistanceKm, 15);
+  });
+});
+
+describe('applyFilter', () => {
+  test('treats "marriott" as the umbrella brand', () => {
+    assert.equal(applyFilter(ds, { city: 'Pune', brand: 'marriott' }).length, applyFilter(ds, { city: 'Pune' }).length);
+  });
+
+  test('tolerates typos and puts the best match first', () => {
+    assert.deepEqual(ids(applyFilter(ds, { brand: 'westin', city: 'hyderbad' })), ['the-westin-hyderabad-mindspace']);
+  });
+
+  test('matches any of several values', () => {
+    const goaOrPune = applyFilter(ds, { city: ['Goa', 'Pune'] });
+    assert.equal(goaOrPune.length, applyFilter(ds, { city: 'Goa' }).length + applyFilter(ds, { city: 'Pune' }).length);
+  });
+
+  test('exclusions only look at the field itself', () => {
+    const res = applyFilter(ds, { city: 'Pune', excludeBrand: 'Marriott' });
+    assert.ok(res.some(r => r.Brand === 'Fairfield'));
+    assert.ok(!res.some(r => r.Brand === 'Marriott'));
+  });
+
+  test('numeric bounds are inclusive', () => {
+    assert.ok(ids(applyFilter(ds, { city: 'Pune', maxPtsNight: 12000 })).includes('four-points-by-sheraton-hotel-serviced-apartments-pune'));
+    assert.ok(applyFilter(ds, { city: 'Pune', minPtsNight: 23500 }).every(r => r.AvgPtsNight >= 23500));
+  });
+});
+
+describe('suggestFor', () => {
+  test('offers dataset names for a value that matches nothing', () => {
+    const [suggestion] = suggestFor(ds, { city: 'Puen' });
+    assert.equal(suggestion?.field, 'city');
+    assert.ok(suggestion.didYouMean.includes('Pune'));
+  });
+});
+
+describe('withStayCost', () => {
+  test('adds the cost of the stay with the 5th night free', () => {
+    const [row] = withStayCost([ds.recordsById.get('courtyard-pune-chakan')], 6);
+    assert.equal(row.StayPts, 60000 + 15000);
+    assert.equal(row.StayFreeNights, 1);
+  });
+});
+
+describe('filterSchema', () => {
+  test('rejects unknown keys and wrong types', () => {
+    assert.equal(validateFilter({ city: 'Goa', colour: 'blue' }), false);
+    assert.equal(validateFilter({ maxPtsNight: '30k' }), false);
+    assert.equal(validateFilter({ city: ['Goa', 'Pune'], rank: { by: 'AvgPtsNight', order: 'asc', limit: 1 } }), true);
+  });
+});
@@ -0,0 +1,34 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AIRPORTS, haversineKm, nearestAirport, estimateDriveMinutes, cityCentre } from '../lib/geo.js';
+import { loadFixtureDataset } from './helpers.js';
+
+describe('geo', () => {
+  test('haversine distance between Mumbai and Pune airports', () => {
+    const byCode = code => AIRPORTS.find(a => a.code === code);
+    assert.equal(Math.round(haversineKm(byCode('BOM'), byCode('PNQ'))), 124);
+  });
+
+  test('picks the nearest airport, not the one named after the city', () => {
+    // Arambol, North Goa, is closer to Mopa than to Dabolim
+    assert.equal(nearestAirport({ lat: 15.686, lon: 73.704 }).airport.code, 'GOX');
+    assert.equal(nearestAirport(cityCentre('Calangute')).airport.code, 'GOI');
+    assert.equal(nearestAirport(cityCentre('Navi Mumbai')).airport.code, 'BOM');
+  });
+
+  test('finds a known city inside a longer city cell', () => {
+    assert.equal(cityCentre('Sohna-Gurgaon'), cityCentre('Gurgaon'));
+    assert.equal(cityCentre('Navi Mumbai'), cityCentre('navi mumbai'));
+    assert.equal(cityCentre('Atlantis'), null);
+  });
+
+  test('estimates drive time from the straight line', () => {
+    assert.equal(estimateDriveMinutes(40), 78);
+  });
+
+  test('every hotel in the data has coordinates and an airport', () => {
+    const ds = loadFixtureDataset();
+    const codes = new Set(AIRPORTS.map(a => a.code));
+    assert.ok(ds.records.every(r => Number.isFinite(r.Lat) && Number.isFinite(r.Lon) && codes.has(r.AirportCode)));
+  });
+});
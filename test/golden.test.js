@@ -0,0 +1,48 @@
+/*
+  Golden corpus: each sentence in golden/queries.json, its stubbed LLM answer,
+  and the filter, corrections and hotel Ids /search is expected to return –
+  once with the mock LLM and once with the offline parser.
+
+  After an intended behaviour change, regenerate the expectations with
+  `UPDATE_GOLDEN=1 npm test` and review the diff.
+*/
+
+import fs from 'fs';
+import path from 'path';
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, testDir } from './helpers.js';
+
+const file = path.join(testDir, 'golden', 'queries.json');
+const corpus = JSON.parse(fs.readFileSync(file, 'utf8'));
+const update = process.env.UPDATE_GOLDEN === '1';
+const answers = Object.fromEntries(corpus.map(entry => [entry.query, entry.answer]));
+
+for (const mode of ['llm', 'local']) {
+  describe(`golden corpus (${mode} parser)`, () => {
+    let app;
+    before(async () => {
+      app = await startApp({ answers, mode });
+    });
+    after(() => app.close());
+
+    for (const entry of corpus) {
+      test(entry.query, async () => {
+        const { status, body } = await app.post('/search', { query: entry.query });
+        const actual = {
+          status,
+          parser: body.parser,
+          filter: body.filter,
+          corrections: body.corrections,
+          hotels: (body.data || []).map(r => r.Id)
+        };
+        if (update) entry[mode] = actual;
+        else assert.deepEqual(actual, entry[mode]);
+      });
+    }
+  });
+}
+
+after(() => {
+  if (update) fs.writeFileSync(file, `${JSON.stringify(corpus, null, 2)}\n`);
+});
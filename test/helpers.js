@@ -0,0 +1,71 @@
+/*
+  test/helpers.js
+  ---------------
+  Shared setup for the test suite: the pinned fixture dataset and an app
+  instance wired to a mock LLM, listening on a random local port.
+*/
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createDatasetStore, loadDataset } from '../lib/dataset.js';
+import { cityAliases } from '../lib/corrections.js';
+import { createProvider } from '../lib/llm.js';
+import { createQueryParser, createFollowUpParser } from '../lib/query.js';
+import { createApp } from '../lib/app.js';
+import { createGazetteer, loadPlaces } from '../lib/places.js';
+
+export const testDir = path.dirname(fileURLToPath(import.meta.url));
+export const fixturesDir = path.join(testDir, 'fixtures');
+
+// A copy of data/hotels.csv, so expectations don't move when the real data does.
+export function loadFixtureDataset() {
+  return loadDataset(path.join(fixturesDir, 'hotels.csv'), { cityAliases });
+}
+
+// Likewise a copy of data/places.json.
+export function loadFixturePlaces() {
+  return createGazetteer(loadPlaces(path.join(fixturesDir, 'places.json')));
+}
+
+/**
+ * Start the app on an ephemeral port. `answers` are the mock LLM's replies
+ * ({ query: answer }, see lib/llm.js); `mode` is a PARSER_MODE.
+ */
+export async function startApp({ answers = {}, mode = 'llm', retries = 2, ...options } = {}) {
+  const datasets = createDatasetStore(fixturesDir, { cityAliases });
+  datasets.loadAll();
+  const provider = createProvider({ provider: 'mock', output: 'tools', answers });
+  const places = loadFixturePlaces();
+  const queryToFilter = createQueryParser({ mode, provider, retries, places });
+  const followUp = createFollowUpParser({ mode, provider, retries, places });
+  const app = createApp({ datasets, queryToFilter, followUp, historyDir: path.join(fixturesDir, 'history'), places, ...options });
+
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+    async post(route, body) {
+      const res = await fetch(url + route, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      return { status: res.status, body: await res.json() };
+    },
+    async delete(route) {
+      const res = await fetch(url + route, { method: 'DELETE' });
+      return { status: res.status, body: await res.json() };
+    },
+    async get(route) {
+      const res = await fetch(url + route);
+      return { status: res.status, body: await res.json() };
+    },
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
@@ -0,0 +1,96 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { historyFile, writeHistory, importSnapshot, priceChanges } from '../lib/history.js';
+import { loadFixtureDataset, startApp } from './helpers.js';
+
+const ds = loadFixtureDataset();
+const [cheaper, dearer] = ds.records;
+
+// Two snapshots: an older one where the first hotel cost 1000 more and the
+// second 1000 less, then the fixture itself (the served data).
+function buildHistory() {
+  const history = { snapshots: [], hotels: {} };
+  const older = ds.records.map(r => ({ ...r, AvgPtsNight: r.Id === cheaper.Id ? r.AvgPtsNight + 1000 : r.Id === dearer.Id ? r.AvgPtsNight - 1000 : r.AvgPtsNight }));
+  importSnapshot(history, { hash: 'older', file: 'older.csv', records: older }, { label: '2025-05' });
+  importSnapshot(history, ds, { label: '2025-06' });
+  return history;
+}
+
+describe('price history', () => {
+  test('lists the hotels whose price changed, largest change first', () => {
+    const { from, to, changes } = priceChanges(buildHistory());
+    assert.deepEqual([from, to], ['2025-05', '2025-06']);
+    assert.deepEqual(changes.map(c => [c.Id, c.direction]).sort(), [[cheaper.Id, 'down'], [dearer.Id, 'up']].sort());
+    assert.throws(() => priceChanges(buildHistory(), { from: 'nope' }), /unknown snapshot/);
+  });
+
+  test('refuses to import the same data twice', () => {
+    assert.throws(() => importSnapshot(buildHistory(), ds), /already imported as snapshot "2025-06"/);
+  });
+
+  describe('routes', () => {
+    let app;
+    let dir;
+    before(async () => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+      writeHistory(historyFile(dir, 'hotels'), buildHistory());
+      app = await startApp({ answers: { q: { city: [cheaper.City, dearer.City] } }, historyDir: dir });
+    });
+    after(async () => {
+      await app.close();
+      fs.rmSync(dir, { recursive: true });
+    });
+
+    test('GET /hotels/:id/history returns a hotel\'s prices', async () => {
+      const { status, body } = await app.get(`/hotels/${cheaper.Id}/history`);
+      assert.equal(status, 200);
+      assert.deepEqual(body.prices.map(p => [p.snapshot, p.AvgPtsNight]), [['2025-05', cheaper.AvgPtsNight + 1000], ['2025-06', cheaper.AvgPtsNight]]);
+    });
+
+    test('answers 404 for unknown Ids, Object built-ins included', async () => {
+      for (const id of ['no-such-hotel', 'constructor', '__proto__', 'toString']) {
+        assert.equal((await app.get(`/hotels/${id}/history`)).status, 404, id);
+      }
+    });
+
+    test('search results carry the previous price and its trend', async () => {
+      const { body } = await app.post('/search', { query: 'q' });
+      const byId = new Map(body.data.map(r => [r.Id, r]));
+      assert.deepEqual(
+        [cheaper, dearer].map(h => byId.get(h.Id)).map(r => [r.PreviousPtsNight, r.PriceTrend, r.PreviousSnapshot]),
+        [[cheaper.AvgPtsNight + 1000, 'down', '2025-05'], [dearer.AvgPtsNight - 1000, 'up', '2025-05']]
+      );
+      assert.ok(body.data.filter(r => ![cheaper.Id, dearer.Id].includes(r.Id)).every(r => r.PriceTrend === 'same'));
+    });
+
+    test('GET /price-changes filters by direction', async () => {
+      const { body } = await app.get('/price-changes?direction=up');
+      assert.deepEqual(body.changes.map(c => c.Id), [dearer.Id]);
+      assert.equal((await app.get('/price-changes?direction=sideways')).status, 400);
+    });
+
+    test('GET /price-changes lists the snapshots for an unknown one', async () => {
+      const { status, body } = await app.get('/price-changes?from=nope');
+      assert.equal(status, 400);
+      assert.deepEqual(body.snapshots, ['2025-05', '2025-06']);
+    });
+  });
+
+  test('GET /price-changes answers 500 with JSON for an unreadable history', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+    fs.mkdirSync(path.dirname(historyFile(dir, 'hotels')), { recursive: true });
+    fs.writeFileSync(historyFile(dir, 'hotels'), '{ not json');
+    const app = await startApp({ historyDir: dir });
+    try {
+      const { status, body } = await app.get('/price-changes?from=nope');
+      assert.equal(status, 500);
+      assert.match(body.error, /unreadable price history/);
+    } finally {
+      await app.close();
+      fs.rmSync(dir, { recursive: true });
+    }
+  });
+});
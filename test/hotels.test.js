@@ -0,0 +1,108 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadDataset } from '../lib/dataset.js';
+import { startApp } from './helpers.js';
+
+const HEADER = 'Brand,Hotel,City,State,AvgPtValue,AvgPtsNight,AvgPts5Nights';
+const ROWS = [
+  'Courtyard,Courtyard by Marriott,Pune,Maharashtra,₹1.11,18000,72000',
+  'Courtyard,Courtyard by Marriott,Goa,Goa,₹1.11,20000,80000',
+  'Westin,The Westin Pune,Pune,Maharashtra,₹1.11,25000,100000'
+];
+
+function loadRows(rows) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ids-')), 'hotels.csv');
+  fs.writeFileSync(file, [HEADER, ...rows].join('\n'));
+  return loadDataset(file);
+}
+
+describe('record Ids', () => {
+  test('do not change when rows are reordered', () => {
+    const ids = ds => Object.fromEntries(ds.records.map(r => [`${r.Hotel} / ${r.City}`, r.Id]));
+    const forward = ids(loadRows(ROWS));
+    assert.deepEqual(forward, {
+      'Courtyard by Marriott / Pune': 'courtyard-by-marriott-pune',
+      'Courtyard by Marriott / Goa': 'courtyard-by-marriott-goa',
+      'The Westin Pune / Pune': 'the-westin-pune'
+    });
+    assert.deepEqual(ids(loadRows([...ROWS].reverse())), forward);
+  });
+
+  test('do not change when a hotel of the same name is added', () => {
+    const one = loadRows([ROWS[0], ROWS[2]]).records.map(r => r.Id);
+    const both = loadRows(ROWS).records.map(r => r.Id);
+    assert.deepEqual(one, ['courtyard-by-marriott-pune', 'the-westin-pune']);
+    assert.deepEqual([both[0], both[2]], one);
+  });
+});
+
+describe('GET /hotels', () => {
+  let app;
+  before(async () => {
+    app = await startApp();
+  });
+  after(() => app.close());
+
+  test('sorts by several fields', async () => {
+    const { body } = await app.get('/hotels?state=Goa&sort=-AvgPtsNight,Hotel');
+    const points = body.data.map(r => r.AvgPtsNight);
+    assert.ok(body.total > 2);
+    assert.deepEqual(points, [...points].sort((a, b) => b - a));
+  });
+
+  test('pages with limit and offset, total counting every match', async () => {
+    const all = (await app.get('/hotels?state=Goa&sort=Hotel')).body;
+    const { body } = await app.get('/hotels?state=Goa&sort=Hotel&limit=2&offset=1');
+    assert.deepEqual([body.total, body.count, body.offset, body.limit], [all.total, 2, 1, 2]);
+    assert.deepEqual(body.data.map(r => r.Id), all.data.slice(1, 3).map(r => r.Id));
+  });
+
+  test('counts without rows at limit=0', async () => {
+    const { body } = await app.get('/hotels?state=Goa&limit=0');
+    assert.deepEqual([body.count, body.data], [0, []]);
+    assert.ok(body.total > 0);
+  });
+
+  test('returns only the requested fields', async () => {
+    const { body } = await app.get('/hotels?state=Goa&fields=Id,AvgPtsNight&limit=1');
+    assert.deepEqual(Object.keys(body.data[0]), ['Id', 'AvgPtsNight']);
+  });
+
+  test('answers 400 for bad parameters', async () => {
+    for (const query of ['sort=Colour', 'fields=Id,Colour', 'limit=1.5', 'limit=ten', 'offset=-1', 'maxPtsNight=lots', 'colour=blue']) {
+      const { status, body } = await app.get(`/hotels?${query}`);
+      assert.equal(status, 400, query);
+      assert.ok(body.error, query);
+    }
+  });
+
+  test('answers 404 for an unknown dataset', async () => {
+    const { status, body } = await app.get('/hotels?dataset=nope');
+    assert.equal(status, 404);
+    assert.deepEqual(body.datasets, ['hotels']);
+  });
+});
+
+describe('POST /search request body', () => {
+  let app;
+  before(async () => {
+    app = await startApp({ answers: { q: {} } });
+  });
+  after(() => app.close());
+
+  test('answers 400 for a body that is not an object, a non-string query or a non-object filter', async () => {
+    for (const body of [[], [{ query: 'q' }], { query: 42 }, { query: ['q'] }, { filter: [] }, { filter: 'Goa' }, { query: 'q', filter: null }]) {
+      const { status, body: res } = await app.post('/search', body);
+      assert.equal(status, 400, JSON.stringify(body));
+      assert.ok(res.error, JSON.stringify(body));
+    }
+  });
+
+  test('still runs an edited filter and a sentence', async () => {
+    assert.equal((await app.post('/search', { filter: { state: 'Goa' } })).body.parser, 'client');
+    assert.equal((await app.post('/search', { query: 'q' })).status, 200);
+  });
+});
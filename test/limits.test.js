@@ -0,0 +1,71 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createQueryCache, normalizeQuery } from '../lib/cache.js';
+import { createRateLimiter } from '../lib/ratelimit.js';
+import { startApp } from './helpers.js';
+
+describe('query cache', () => {
+  const ds = { name: 'hotels', hash: 'a' };
+
+  test('normalises case, spacing and trailing punctuation', () => {
+    assert.equal(normalizeQuery('  Hotels   in GOA?! '), 'hotels in goa');
+  });
+
+  test('misses once the dataset content changes', () => {
+    const cache = createQueryCache();
+    cache.set(ds, 'hotels in goa', { filter: { city: 'Goa' } });
+    assert.deepEqual(cache.get(ds, 'Hotels in Goa.'), { filter: { city: 'Goa' } });
+    assert.equal(cache.get({ ...ds, hash: 'b' }, 'hotels in goa'), undefined);
+  });
+
+  test('expires entries after the TTL', () => {
+    const cache = createQueryCache({ ttlMs: -1 });
+    cache.set(ds, 'q', {});
+    assert.equal(cache.get(ds, 'q'), undefined);
+  });
+
+  test('evicts the least recently used entry', () => {
+    const cache = createQueryCache({ maxEntries: 2 });
+    cache.set(ds, 'a', 1);
+    cache.set(ds, 'b', 2);
+    cache.get(ds, 'a');
+    cache.set(ds, 'c', 3);
+    assert.equal(cache.get(ds, 'b'), undefined);
+    assert.equal(cache.get(ds, 'a'), 1);
+  });
+
+  test('persists to and reloads from a file', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'qc-')), 'queries.json');
+    const cache = createQueryCache({ file });
+    cache.set(ds, 'q', { filter: {} });
+    cache.save();
+    assert.deepEqual(createQueryCache({ file }).get(ds, 'q'), { filter: {} });
+    fs.rmSync(path.dirname(file), { recursive: true });
+  });
+});
+
+describe('rate limit', () => {
+  test('answers 429 with Retry-After past the limit', async () => {
+    const app = await startApp({ answers: { q: { city: 'Goa' } }, searchLimit: createRateLimiter({ max: 2 }) });
+    try {
+      const statuses = [];
+      let last;
+      for (let i = 0; i < 3; i++) {
+        last = await fetch(`${app.url}/search`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ query: 'q' })
+        });
+        statuses.push(last.status);
+        await last.json();
+      }
+      assert.deepEqual(statuses, [200, 200, 429]);
+      assert.ok(Number(last.headers.get('retry-after')) > 0);
+    } finally {
+      await app.close();
+    }
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { configFromEnv, createProvider, createFilterParser, withBudget } from '../lib/llm.js';
+import { createDailyBudget } from '../lib/ratelimit.js';
+import { filterSchema, validateFilter } from '../lib/filter.js';
+import { startApp } from './helpers.js';
+
+const mock = answers => createProvider({ provider: 'mock', output: 'tools', answers });
+const parserFor = (provider, retries = 2) =>
+  createFilterParser({ provider, systemPrompt: 'test', schema: filterSchema, validate: validateFilter, retries });
+
+describe('configFromEnv', () => {
+  test('reads LLM_RETRIES, falling back to 2 for a blank or invalid value', () => {
+    const retries = value => configFromEnv({ LLM_RETRIES: value }).retries;
+    assert.deepEqual([retries('0'), retries('3'), retries(undefined)], [0, 3, 2]);
+    for (const value of ['', ' ', 'two', '1.5', '-1']) assert.equal(retries(value), 2, value);
+  });
+});
+
+describe('mock provider', () => {
+  test('matches queries regardless of case and spacing', async () => {
+    const parse = parserFor(mock({ 'Hotels in Goa': { city: 'Goa' } }));
+    assert.deepEqual(await parse('  hotels   in goa '), { city: 'Goa' });
+  });
+
+  test('throws for queries it has no answer for', async () => {
+    await assert.rejects(parserFor(mock({}))('hotels in goa'), /no recorded LLM answer/);
+  });
+});
+
+describe('createFilterParser', () => {
+  test('strips code fences', async () => {
+    const parse = parserFor(mock({ q: '```json\n{"city": "Goa"}\n```' }));
+    assert.deepEqual(await parse('q'), { city: 'Goa' });
+  });
+
+  test('retries after malformed JSON, sending the error back', async () => {
+    const seen = [];
+    const provider = mock({ q: ['{"city": "Goa"', { city: 'Goa' }] });
+    const spy = { ...provider, complete: (messages, options) => (seen.push(messages.length), provider.complete(messages, options)) };
+    assert.deepEqual(await parserFor(spy)('q'), { city: 'Goa' });
+    assert.deepEqual(seen, [2, 4]);
+  });
+
+  test('retries after a schema violation', async () => {
+    const parse = parserFor(mock({ q: [{ maxPtsNight: '30k' }, { maxPtsNight: 30000 }] }));
+    assert.deepEqual(await parse('q'), { maxPtsNight: 30000 });
+  });
+
+  test('reports an array answer as not an object', async () => {
+    const parse = parserFor(mock({ q: '[{"city": "Goa"}]' }), 0);
+    await assert.rejects(parse('q'), /invalid JSON: expected a JSON object/);
+  });
+
+  test('gives up with a 422 and the Ajv errors', async () => {
+    const parse = parserFor(mock({ q: { colour: 'blue' } }), 1);
+    await assert.rejects(parse('q'), err => {
+      assert.equal(err.status, 422);
+      assert.equal(err.details[0].keyword, 'additionalProperties');
+      return true;
+    });
+  });
+});
+
+describe('withBudget', () => {
+  test('stops calling the model once the budget is spent', async () => {
+    const budget = createDailyBudget(1);
+    const parse = parserFor(withBudget(mock({ q: { city: 'Goa' } }), budget));
+    await parse('q');
+    await assert.rejects(parse('q'), err => err.code === 'LLM_BUDGET');
+    assert.equal(budget.status().remaining, 0);
+  });
+});
+
+describe('POST /search parser modes', () => {
+  test('falls back to the local parser when the LLM has no answer', async () => {
+    const app = await startApp({ mode: 'llm-with-local-fallback' });
+    try {
+      const { body } = await app.post('/search', { query: 'cheapest hotel in pune' });
+      assert.equal(body.parser, 'local');
+      assert.deepEqual(body.data.map(r => r.Id), ['four-points-by-sheraton-hotel-serviced-apartments-pune']);
+    } finally {
+      await app.close();
+    }
+  });
+
+  test('answers 422 in llm mode when the model never produces a valid filter', async () => {
+    const app = await startApp({ answers: { q: 'not json' }, retries: 0 });
+    try {
+      const { status, body } = await app.post('/search', { query: 'q' });
+      assert.equal(status, 422);
+      assert.match(body.error, /invalid JSON/);
+    } finally {
+      await app.close();
+    }
+  });
+});
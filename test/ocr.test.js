@@ -0,0 +1,77 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTableLine, parseScreenshots, mergeRows } from '../lib/ocr.js';
+import { countries } from '../lib/countries.js';
+
+// An OCR line as createOcr returns it; `low` words get a low confidence.
+function line(text, low = []) {
+  return { text, words: text.split(/\s+/).map(w => ({ text: w, confidence: low.includes(w) ? 40 : 95 })) };
+}
+
+const options = { cities: countries.list.flatMap(c => Object.keys(c.cities)) };
+
+describe('ocr', () => {
+  test('splits a table line into brand, hotel, city and points', () => {
+    const { row, flags } = parseTableLine(line('JW Marriott JW Marriott Hotel Pune Pune ₹1.11 35,000 1,40,000'), options);
+    assert.deepEqual(row, {
+      Brand: 'JW Marriott', Hotel: 'JW Marriott Hotel Pune', City: 'Pune',
+      AvgPtValue: '₹1.11', AvgPtsNight: '35000', AvgPts5Nights: '140000'
+    });
+    assert.deepEqual(flags, []);
+  });
+
+  test('prefers the longest brand and city', () => {
+    const { row } = parseTableLine(line('Four Points by Sheraton Four Points Navi Mumbai Navi Mumbai %0.68 12.000 48,000'), options);
+    assert.equal(row.Brand, 'Four Points by Sheraton');
+    assert.equal(row.City, 'Navi Mumbai');
+    assert.equal(row.AvgPtValue, '₹0.68');
+    assert.equal(row.AvgPtsNight, '12000');
+  });
+
+  test('flags uncertain cells', () => {
+    const { flags } = parseTableLine(line('Westin The Westin Atlantis Atlantis ₹1.11 31,000 124,000', ['31,000']), options);
+    assert.deepEqual(flags, ['City: not a known city', 'AvgPtsNight: read with 40% confidence']);
+    assert.deepEqual(parseTableLine(line('Courtyard Courtyard Pune Pune ₹1.11 18,500 72,000'), options).flags, ['AvgPts5Nights: expected 4 × 18500']);
+  });
+
+  test('skips headings and holds back mangled rows', () => {
+    const { rows, review } = parseScreenshots([{
+      image: 'page1.png',
+      lines: [
+        line('Brand Hotel Name City Ave Pt Value Ave Pts / night Ave Pts / 5 Nights'),
+        line('Westin The Westin Pune Pune ₹1.11 20,000 80,000'),
+        line('Sheraton Sheraton Grand Pune 1l.11 35,000 1 40,000')
+      ]
+    }], options);
+    assert.equal(rows.length, 1);
+    assert.equal(review.length, 1);
+    assert.equal(review[0].Line, '3');
+    assert.match(review[0].Flags, /not a table row/);
+  });
+
+  test('merges into an existing CSV by hotel, keeping its other columns', () => {
+    const existing = [{ Brand: 'Westin', 'Hotel Name': 'The Westin Pune', City: 'Pune', 'Ave Pts / night': '20000', 'Ave Pts / 5 Nights': '80000', State: 'Maharashtra' }];
+    const { rows, columns, added, updated } = mergeRows(existing, [
+      { Brand: 'Westin', Hotel: 'The Westin Pune', City: 'Pune', AvgPtValue: '₹1.11', AvgPtsNight: '25000', AvgPts5Nights: '100000' },
+      { Brand: 'W', Hotel: 'W Goa', City: 'Goa', AvgPtValue: '₹1.11', AvgPtsNight: '40000', AvgPts5Nights: '160000' }
+    ]);
+    assert.deepEqual([added, updated], [1, 1]);
+    assert.deepEqual(columns, ['Brand', 'Hotel', 'City', 'State', 'AvgPtValue', 'AvgPtsNight', 'AvgPts5Nights']);
+    assert.equal(rows[0].State, 'Maharashtra');
+    assert.equal(rows[0].AvgPtsNight, '25000');
+    assert.equal(rows[1].State, '');
+  });
+
+  test('tells same-named hotels apart by city', () => {
+    const existing = [
+      { Brand: 'Courtyard', Hotel: 'Courtyard by Marriott', City: 'Pune', AvgPtsNight: '18000', AvgPts5Nights: '72000' },
+      { Brand: 'Courtyard', Hotel: 'Courtyard by Marriott', City: 'Goa', AvgPtsNight: '20000', AvgPts5Nights: '80000' }
+    ];
+    const { rows, added, updated } = mergeRows(existing, [
+      { Brand: 'Courtyard', Hotel: 'Courtyard by Marriott', City: 'Goa', AvgPtValue: '₹1.11', AvgPtsNight: '22000', AvgPts5Nights: '88000' },
+      { Brand: 'Courtyard', Hotel: 'Courtyard by Marriott', City: 'Kochi', AvgPtValue: '₹1.11', AvgPtsNight: '15000', AvgPts5Nights: '60000' }
+    ]);
+    assert.deepEqual([added, updated], [1, 1]);
+    assert.deepEqual(rows.map(r => [r.City, r.AvgPtsNight]), [['Pune', '18000'], ['Goa', '22000'], ['Kochi', '15000']]);
+  });
+});
@@ -0,0 +1,108 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parse } from 'csv-parse/sync';
+import {
+  normaliseRows, toCsv, stateOf, enrichStates, enrichGeo, diffRows,
+  listVersions, writeVersion, archiveServed, publishVersion
+} from '../lib/pipeline.js';
+import { createMapbox } from '../lib/mapbox.js';
+
+// A sheet as exported: header variants, a second State column, untrimmed cells.
+const SHEET = [
+  'Brand,Hotel Name,City,Ave Pt Value,Ave Pts / night,Ave Pts / 5 Nights,State,State',
+  'Westin, The Westin Pune ,Pune,₹1.11,20000,80000,,Maharashtra',
+  'Courtyard,Courtyard Atlantis,Atlantis,₹1.11,18500,74000,,',
+  'JW Marriott,JW Marriott Goa,Goa,₹1.11,49000,196000,Goa,'
+].join('\n');
+
+const sheetRows = () => parse(SHEET, { columns: true });
+
+describe('pipeline', () => {
+  test('normalises header variants and keeps a single State column', () => {
+    const { rows, columns, renamed } = normaliseRows(sheetRows());
+    assert.deepEqual(columns, ['Brand', 'Hotel', 'City', 'State', 'AvgPtValue', 'AvgPtsNight', 'AvgPts5Nights']);
+    assert.deepEqual(renamed[0], ['Hotel Name', 'Hotel']);
+    assert.equal(rows[0].Hotel, 'The Westin Pune');
+    assert.equal(toCsv(rows, columns).split('\n')[0].match(/State/g).length, 1);
+  });
+
+  test('fills states and lists the cities it cannot map', () => {
+    const { rows } = normaliseRows(sheetRows());
+    const { filled, unmapped } = enrichStates(rows);
+    assert.equal(filled, 1);
+    assert.deepEqual(unmapped, ['Atlantis']);
+    assert.deepEqual(rows.map(r => r.State), ['Maharashtra', '', 'Goa']);
+    assert.equal(stateOf('Sohna-Gurgaon'), 'Haryana');
+  });
+
+  test('places hotels offline and reports the ones it cannot', async () => {
+    const { rows } = normaliseRows(sheetRows());
+    const mapbox = createMapbox({ cacheDir: fs.mkdtempSync(path.join(os.tmpdir(), 'mapbox-')) });
+    const { placed, routed, approximate, unplaced } = await enrichGeo(rows, { mapbox });
+    assert.equal(placed, 2);
+    assert.equal(routed, 2);
+    assert.deepEqual(unplaced, ['Courtyard Atlantis']);
+    assert.deepEqual(approximate, ['The Westin Pune', 'JW Marriott Goa']);
+    assert.equal(rows[0].AirportCode, 'PNQ');
+    assert.equal(rows[0].GeoPrecision, 'city');
+    assert.equal(rows[1].DistanceKmFromAirport, '');
+  });
+
+  test('keeps the distance of a row that had no coordinates', async () => {
+    const row = { Hotel: 'The Westin Pune', City: 'Pune', DistanceKmFromAirport: '12.4', DriveMinutesFromAirport: '31' };
+    const { routed } = await enrichGeo([row]);
+    assert.equal(routed, 0);
+    assert.deepEqual([row.GeoPrecision, row.AirportCode, row.DistanceKmFromAirport, row.DriveMinutesFromAirport], ['city', 'PNQ', '12.4', '31']);
+  });
+
+  test('moves a city-centre row to its geocode and measures from there', async () => {
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mapbox-'));
+    fs.writeFileSync(path.join(cacheDir, 'geocode.json'), JSON.stringify({ 'The Westin Pune, Pune, India': { lat: 18.5386, lon: 73.9009 } }));
+    const row = { Hotel: 'The Westin Pune', City: 'Pune', Lat: '18.52040', Lon: '73.85670', AirportCode: 'PNQ', DistanceKmFromAirport: '9.3', DriveMinutesFromAirport: '18' };
+    const { approximate } = await enrichGeo([row], { mapbox: createMapbox({ cacheDir }) });
+    assert.deepEqual(approximate, []);
+    assert.deepEqual([row.Lat, row.Lon, row.GeoPrecision, row.AirportCode], ['18.53860', '73.90090', 'hotel', 'PNQ']);
+    assert.notEqual(row.DistanceKmFromAirport, '9.3');
+  });
+
+  test('re-measures a kept distance when the nearest airport changes', async () => {
+    const row = code => ({ Hotel: 'The Westin Pune', City: 'Pune', Lat: '18.5204', Lon: '73.8567', AirportCode: code, DistanceKmFromAirport: '120.0', DriveMinutesFromAirport: '150' });
+    const kept = row('PNQ');
+    const moved = row('BOM');
+    const { routed } = await enrichGeo([kept, moved]);
+    assert.equal(routed, 1);
+    assert.deepEqual([kept.AirportCode, kept.DistanceKmFromAirport, kept.DriveMinutesFromAirport], ['PNQ', '120.0', '150']);
+    assert.equal(moved.AirportCode, 'PNQ');
+    assert.ok(parseFloat(moved.DistanceKmFromAirport) < 20);
+    assert.notEqual(moved.DriveMinutesFromAirport, '150');
+  });
+
+  test('diffs cells by CSV line', () => {
+    const before = [{ Hotel: 'A', State: '' }, { Hotel: 'B', State: 'Goa' }];
+    const after = [{ Hotel: 'A', State: 'Goa', Lat: '15.5' }, { Hotel: 'B', State: 'Goa' }];
+    assert.deepEqual(diffRows(before, after), [
+      { line: 2, hotel: 'A', field: 'State', from: '', to: 'Goa' },
+      { line: 2, hotel: 'A', field: 'Lat', from: '', to: '15.5' }
+    ]);
+  });
+
+  test('writes numbered versions and keeps the served file when publishing', () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pipeline-'));
+    const dir = path.join(dataDir, 'versions');
+    const target = path.join(dataDir, 'hotels.csv');
+    fs.writeFileSync(target, 'Brand,Hotel\nWestin,Old\n');
+
+    assert.equal(archiveServed(target, { dir, name: 'hotels' }), path.join(dir, 'hotels-v1.csv'));
+    const v2 = writeVersion(dir, 'hotels', 'Brand,Hotel\nWestin,New\n', { rows: 1 });
+    publishVersion(v2, target);
+    assert.equal(fs.readFileSync(target, 'utf8'), 'Brand,Hotel\nWestin,New\n');
+    assert.equal(JSON.parse(fs.readFileSync(v2.replace(/\.csv$/, '.json'), 'utf8')).version, 2);
+
+    // The served file already is v2, so publishing again archives nothing.
+    assert.equal(archiveServed(target, { dir, name: 'hotels' }), null);
+    assert.deepEqual(listVersions(dir, 'hotels').map(v => v.version), [1, 2]);
+  });
+});
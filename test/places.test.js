@@ -0,0 +1,94 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveNear } from '../lib/places.js';
+import { applyFilter } from '../lib/filter.js';
+import { correctFilter } from '../lib/corrections.js';
+import { loadFixtureDataset, loadFixturePlaces, startApp } from './helpers.js';
+
+const ds = loadFixtureDataset();
+const places = loadFixturePlaces();
+
+describe('gazetteer', () => {
+  test('finds landmarks by name or alias, and inside longer phrases', () => {
+    assert.equal(places.lookup('baga beach').name, 'Baga Beach');
+    assert.equal(places.lookup('BKC').name, 'Bandra Kurla Complex');
+    assert.equal(places.lookup('Hyderabad HITEC City').name, 'HITEC City');
+    assert.equal(places.lookup('GOI').kind, 'airport');
+    assert.equal(places.lookup('Navi Mumbai').kind, 'city');
+    assert.equal(places.lookup('Atlantis'), null);
+  });
+
+  test('suggests similar names', () => {
+    assert.equal(places.suggest('baga bech')[0], 'Baga Beach');
+  });
+});
+
+describe('resolveNear', () => {
+  test('fills in the coordinates of a known place', () => {
+    const { near } = resolveNear({ near: { place: 'hitech city', radiusKm: 5 } }, places);
+    assert.deepEqual(near, { place: 'HITEC City', radiusKm: 5, lat: 17.4435, lon: 78.3772 });
+  });
+
+  test('keeps the coordinates of a place it does not know', () => {
+    const filter = { near: { place: 'My office', lat: 18.5, lon: 73.8 } };
+    assert.equal(resolveNear(filter, places), filter);
+  });
+
+  test('rejects an unknown place without coordinates', () => {
+    assert.throws(() => resolveNear({ near: { place: 'Bagga beach' } }, places), err => {
+      assert.equal(err.status, 422);
+      assert.ok(err.details[0].didYouMean.includes('Baga Beach'));
+      return true;
+    });
+  });
+});
+
+describe('near filter', () => {
+  test('keeps hotels within the radius, nearest first, with their distance', () => {
+    const res = applyFilter(ds, resolveNear({ near: { place: 'Baga Beach', radiusKm: 20 } }, places));
+    assert.ok(res.length > 0);
+    assert.ok(res.every(r => r.DistanceKm <= 20 && r.State === 'Goa'));
+    assert.deepEqual(res.map(r => r.DistanceKm), res.map(r => r.DistanceKm).sort((a, b) => a - b));
+  });
+
+  test('reads a distance cap as the radius around the place', () => {
+    const filter = { near: { place: 'Baga Beach' }, maxDistanceKm: 20 };
+    correctFilter(filter, 'hotels within 20 km of baga beach', ds);
+    assert.deepEqual(filter, { near: { place: 'Baga Beach', radiusKm: 20 } });
+  });
+});
+
+describe('near in the API', () => {
+  let app;
+  before(async () => {
+    app = await startApp({ answers: { 'near bagga beach': { near: { place: 'Bagga beach' } } } });
+  });
+  after(() => app.close());
+
+  test('GET /hotels ranks by distance from a place', async () => {
+    const { status, body } = await app.get('/hotels?near[place]=Gateway%20of%20India&rank[by]=DistanceKm&rank[limit]=3');
+    assert.equal(status, 200);
+    assert.equal(body.count, 3);
+    assert.ok(body.data.every(r => r.City.toLowerCase().includes('mumbai')));
+  });
+
+  test('POST /search re-runs a filter inside map bounds', async () => {
+    const bounds = { south: 15.4, west: 73.6, north: 15.8, east: 74 }; // North Goa
+    const { body } = await app.post('/search', { filter: { bounds } });
+    assert.ok(body.count > 0);
+    assert.ok(body.data.every(r => r.Lat >= 15.4 && r.Lat <= 15.8 && r.State === 'Goa'));
+  });
+
+  test('GET /config and /airports feed the UI map', async () => {
+    const { body: config } = await app.get('/config');
+    assert.match(config.map.tileUrl, /\{z\}/);
+    const { body: airports } = await app.get('/airports');
+    assert.ok(airports.some(a => a.code === 'GOI'));
+  });
+
+  test('POST /search answers 422 with suggestions for an unknown place', async () => {
+    const { status, body } = await app.post('/search', { query: 'near bagga beach' });
+    assert.equal(status, 422);
+    assert.ok(body.details[0].didYouMean.includes('Baga Beach'));
+  });
+});
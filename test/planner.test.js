@@ -0,0 +1,56 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { stayCost } from '../lib/planner.js';
+import { startApp } from './helpers.js';
+
+describe('stayCost', () => {
+  const hotel = { AvgPtsNight: 20000, AvgPts5Nights: 80000, AvgPtValue: 0.5 };
+
+  test('charges every night below five', () => {
+    assert.deepEqual(stayCost(hotel, 4), { nights: 4, freeNights: 0, points: 80000, savedPoints: 0, cashValue: 40000 });
+  });
+
+  test('makes every 5th night free', () => {
+    assert.equal(stayCost(hotel, 5).points, 80000);
+    assert.equal(stayCost(hotel, 11).points, 2 * 80000 + 20000);
+    assert.equal(stayCost(hotel, 11).freeNights, 2);
+  });
+
+  test('has no cash value without a point value, and no cost without a price', () => {
+    assert.equal(stayCost({ ...hotel, AvgPtValue: null }, 2).cashValue, null);
+    assert.equal(stayCost({ AvgPtsNight: null }, 2), null);
+  });
+});
+
+describe('POST /plan', () => {
+  let app;
+  before(async () => {
+    app = await startApp();
+  });
+  after(() => app.close());
+
+  test('totals the stops and suggests cheaper hotels in the same city', async () => {
+    const { status, body } = await app.post('/plan', {
+      stops: [{ hotel: 'JW Marriott Pune', nights: 3 }, { city: 'Goa', nights: 5 }],
+      alternatives: 2
+    });
+    assert.equal(status, 200);
+    assert.equal(body.stops[0].hotel.Id, 'jw-marriott-hotel-pune');
+    assert.equal(body.stops[0].alternatives.length, 2);
+    assert.ok(body.stops[0].alternatives.every(a => a.points < body.stops[0].points));
+    assert.equal(body.stops[1].hotel.Id, 'fairfield-by-marriott-goa-anjuna');
+    assert.equal(body.totalPoints, 3 * 23500 + 74000);
+    assert.equal(body.freeNights, 1);
+  });
+
+  test('reports stops that match no hotel', async () => {
+    const { status, body } = await app.post('/plan', { stops: [{ hotel: 'Hotel Atlantis', nights: 2 }] });
+    assert.equal(status, 422);
+    assert.equal(body.stops[0].index, 0);
+  });
+
+  test('validates the request body', async () => {
+    const { status } = await app.post('/plan', { stops: [{ nights: 2 }] });
+    assert.equal(status, 400);
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyDelta, replay, createSessionStore } from '../lib/session.js';
+import { parseFollowUpLocally } from '../lib/local_parser.js';
+import { loadFixtureDataset, startApp } from './helpers.js';
+
+const ds = loadFixtureDataset();
+
+describe('applyDelta', () => {
+  const filter = { city: 'mumbai', brand: 'Marriott', maxPtsNight: 30000 };
+
+  test('sets, adds and removes keys without touching the original', () => {
+    const next = applyDelta(filter, { set: { maxPtsNight: 20000 }, add: { brand: 'westin' }, remove: ['city'] });
+    assert.deepEqual(next, { brand: ['Marriott', 'westin'], maxPtsNight: 20000 });
+    assert.equal(filter.city, 'mumbai');
+  });
+
+  test('a new location replaces the old one, a repeated value is not added twice', () => {
+    assert.deepEqual(applyDelta({ ...filter, state: 'Goa' }, { set: { city: 'pune' } }),
+      { city: 'pune', brand: 'Marriott', maxPtsNight: 30000 });
+    assert.deepEqual(applyDelta(filter, { add: { brand: 'marriott' } }), filter);
+  });
+
+  test('reset starts from nothing', () => {
+    assert.deepEqual(applyDelta(filter, { reset: true, set: { city: 'pune' } }), { city: 'pune' });
+  });
+
+  test('replay rebuilds the filters after a step is dropped', () => {
+    const steps = [
+      { query: 'pune', delta: { reset: true, set: { city: 'pune' } } },
+      { query: 'under 20k', delta: { set: { maxPtsNight: 20000 } } },
+      { query: 'only westin', delta: { set: { brand: 'westin' } } }
+    ];
+    steps.splice(1, 1);
+    assert.deepEqual(replay(steps, ds), { city: 'pune', brand: 'westin' });
+    assert.deepEqual(steps[1].filter, { city: 'pune', brand: 'westin' });
+  });
+});
+
+describe('local follow-ups', () => {
+  const followUp = query => parseFollowUpLocally(query, ds.vocabulary);
+
+  test('reads a new constraint as a change', () => {
+    assert.deepEqual(followUp('now only under 20k'), { set: { maxPtsNight: 20000 } });
+    assert.deepEqual(followUp('what about Pune instead?'), { set: { city: 'Pune' } });
+  });
+
+  test('reads "also" as an addition and "any price" as a removal', () => {
+    assert.deepEqual(followUp('also mumbai'), { add: { city: 'Mumbai' } });
+    assert.deepEqual(followUp('any price'), { remove: ['minPtsNight', 'maxPtsNight', 'maxPts5Nights'] });
+  });
+
+  test('starts over on "new search"', () => {
+    assert.equal(followUp('new search: hotels in goa').reset, true);
+  });
+});
+
+describe('session store', () => {
+  test('forgets sessions after the ttl', async () => {
+    const store = createSessionStore({ ttlMs: 5 });
+    const { id } = store.create();
+    assert.equal(store.get(id).id, id);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal(store.get(id), null);
+  });
+});
+
+describe('sessions in the API', () => {
+  let app;
+  before(async () => {
+    app = await startApp({
+      answers: {
+        'marriott hotels in mumbai': { city: 'mumbai', brand: 'Marriott' },
+        'only under 30k': { set: { maxPtsNight: 30000 } },
+        'what about pune instead': { set: { city: 'pune' } },
+        'thanks': {}
+      }
+    });
+  });
+  after(() => app.close());
+
+  test('a follow-up changes the last filter and can be undone', async () => {
+    const first = await app.post('/search', { query: 'marriott hotels in mumbai', session: true });
+    assert.equal(first.status, 200);
+    const { id } = first.body.session;
+
+    const second = await app.post('/search', { query: 'only under 30k', session: id });
+    assert.deepEqual(second.body.filter, { city: 'mumbai', brand: 'Marriott', maxPtsNight: 30000 });
+    assert.ok(second.body.data.every(r => r.AvgPtsNight <= 30000));
+
+    const third = await app.post('/search', { query: 'what about pune instead', session: id });
+    assert.deepEqual(third.body.filter, { city: 'pune', brand: 'Marriott', maxPtsNight: 30000 });
+    assert.equal(third.body.session.steps.length, 3);
+
+    const undone = await app.delete(`/sessions/${id}/steps/1`);
+    assert.equal(undone.status, 200);
+    assert.deepEqual(undone.body.filter, { city: 'pune', brand: 'Marriott' });
+    assert.deepEqual(undone.body.session.steps.map(s => s.query), ['marriott hotels in mumbai', 'what about pune instead']);
+
+    const { body } = await app.get(`/sessions/${id}`);
+    assert.equal(body.steps.length, 2);
+  });
+
+  test('rejects unknown sessions and follow-ups that change nothing', async () => {
+    assert.equal((await app.post('/search', { query: 'only under 30k', session: 'nope' })).status, 404);
+    const { body } = await app.post('/search', { query: 'marriott hotels in mumbai', session: true });
+    assert.equal((await app.post('/search', { query: 'thanks', session: body.session.id })).status, 422);
+    assert.equal((await app.delete(`/sessions/${body.session.id}/steps/5`)).status, 404);
+  });
+});
@@ -0,0 +1,70 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadCashRates, createValueScorer } from '../lib/value.js';
+import { loadDataset } from '../lib/dataset.js';
+import { applyFilter } from '../lib/filter.js';
+import { rankRecords } from '../lib/rank.js';
+import { stayCost } from '../lib/planner.js';
+import { parseQueryLocally } from '../lib/local_parser.js';
+import { cityAliases } from '../lib/corrections.js';
+import { fixturesDir, loadFixtureDataset } from './helpers.js';
+
+const tmpFile = (name, text) => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'value-')), name);
+  fs.writeFileSync(file, text);
+  return file;
+};
+
+describe('cash rates', () => {
+  test('are read by hotel name or Id', () => {
+    const rates = loadCashRates(tmpFile('rates.csv', 'Hotel,CashRate\nJW Marriott Hotel Pune,"₹14,500"\nfairfield-by-marriott-jaipur,7000\n'));
+    assert.deepEqual([...rates], [['jw-marriott-hotel-pune', 14500], ['fairfield-by-marriott-jaipur', 7000]]);
+    assert.equal(loadCashRates(path.join(fixturesDir, 'missing.csv')).size, 0);
+  });
+
+  test('reject a row without a usable rate', () => {
+    assert.throws(() => loadCashRates(tmpFile('rates.csv', 'Hotel,CashRate\nJW Marriott Hotel Pune,soon\n')), /line 2/);
+  });
+});
+
+describe('value scoring', () => {
+  const scorer = createValueScorer({ cashRates: new Map([['jw-marriott-hotel-pune', 14500]]) });
+
+  test('a cash rate overrides the sheet value', () => {
+    const hotel = { Id: 'jw-marriott-hotel-pune', Hotel: 'JW Marriott Hotel Pune', AvgPtsNight: 23500, AvgPtValue: 0.77 };
+    assert.deepEqual(scorer.score(hotel), { CashRate: 14500, PointValue: 0.62, PointValueSource: 'cash rate', ValueRating: 'fair' });
+  });
+
+  test('rates the sheet value against the thresholds', () => {
+    const rating = AvgPtValue => scorer.score({ Id: 'x', Hotel: 'X', AvgPtsNight: 10000, AvgPtValue }).ValueRating;
+    assert.deepEqual([0.3, 0.5, 0.7, null].map(rating), ['poor', 'fair', 'good', null]);
+  });
+
+  test('values the points of a stay at the point value', () => {
+    assert.equal(stayCost({ AvgPtsNight: 20000, AvgPtValue: 0.5, PointValue: 0.6 }, 1).cashValue, 12000);
+  });
+});
+
+describe('best value', () => {
+  test('ranks by point value, cash rates included', () => {
+    const cashRates = new Map([['itc-rajputana-a-luxury-collection-hotel-jaipur', 30000]]);
+    const ds = loadDataset(path.join(fixturesDir, 'hotels.csv'), { cityAliases, value: createValueScorer({ cashRates }) });
+    const best = rankRecords(applyFilter(ds, { state: 'Rajasthan' }), { by: 'PointValue', order: 'desc', limit: 2 });
+    assert.equal(best[0].Id, 'itc-rajputana-a-luxury-collection-hotel-jaipur');
+    assert.ok(best[0].PointValue > best[1].PointValue);
+  });
+
+  test('point value limits use the scored value', () => {
+    const ds = loadFixtureDataset();
+    assert.ok(applyFilter(ds, { minPtValue: 0.7 }).every(r => r.PointValue >= 0.7 && r.ValueRating === 'good'));
+  });
+
+  test('the local parser reads "best value"', () => {
+    const { vocabulary } = loadFixtureDataset();
+    assert.deepEqual(parseQueryLocally('best value redemption in Rajasthan', vocabulary),
+      { state: 'Rajasthan', rank: { by: 'PointValue', order: 'desc', limit: 5 } });
+  });
+});
@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+/**
+ * validate_csv.js
+ * ---------------
+ * Data-quality report for hotel CSVs: rows with missing or non-numeric
+ * points, unknown states, duplicate hotels and 5-night totals that don't match
+ * the nightly rate. The server runs the same checks on every load.
+ *
+ * Usage:
+ *   npm run validate                       # data/hotels.csv
+ *   npm run validate -- data/a.csv data/b.csv
+ *   npm run validate -- --json             # machine-readable report
+ *
+ * Exits with status 1 when any file has errors (warnings don't fail).
+ */
+import fs from 'fs';
+import path from 'path';
+import { readRows } from './lib/dataset.js';
+import { validateRows, formatReport } from './lib/validate.js';
+
+const args = process.argv.slice(2);
+const asJson = args.includes('--json');
+const files = args.filter(a => !a.startsWith('--'));
+if (!files.length) files.push(path.join('data', 'hotels.csv'));
+
+const reports = [];
+for (const file of files) {
+  if (!fs.existsSync(file)) {
+    console.error(`${file} not found`);
+    process.exit(1);
+  }
+  reports.push(validateRows(readRows(file), { file }));
+}
+
+if (asJson) console.log(JSON.stringify(reports, null, 2));
+else console.log(reports.map(formatReport).join('\n\n'));
+
+process.exit(reports.some(r => r.errors.length) ? 1 : 0);